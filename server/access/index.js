@@ -0,0 +1,175 @@
+/* ================================
+   Profile Access
+   - profiles.json: "visibility": "public" | "private" (default public)
+   - Private profiles unlock with a passcode ("access.passcodeEnv" names
+     the env var holding it) or a signed invite link
+   - Either way the visitor gets a signed access token, sent back with
+     each chat request (X-Profile-Token header)
+================================ */
+
+import crypto from "crypto";
+
+export const PROFILE_TOKEN_HEADER = "x-profile-token";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failed passcode attempts per client + profile before a cool-down
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+// Clients tracked at once; past this, expired entries go, then the oldest
+const MAX_TRACKED_CLIENTS = 10_000;
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+export function isPrivateProfile(profile) {
+  return String(profile?.visibility || "public").toLowerCase() === "private";
+}
+
+function accessError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {object} options
+ *   - secret       : HMAC key (PROFILE_TOKEN_SECRET); random per process if empty
+ *   - tokenTtlMs   : lifetime of access tokens
+ *   - inviteTtlMs  : default lifetime of invite links
+ */
+export function createProfileAccess({ secret, tokenTtlMs = 30 * DAY_MS, inviteTtlMs = 7 * DAY_MS } = {}) {
+  const key = secret || crypto.randomBytes(32).toString("hex");
+  const ephemeral = !secret;
+  const failures = new Map(); // `${client}:${profileId}` -> { count, since }
+
+  function sign(payload) {
+    const body = base64url(JSON.stringify(payload));
+    const mac = crypto.createHmac("sha256", key).update(body).digest("base64url");
+    return `${body}.${mac}`;
+  }
+
+  /**
+   * Decode a token if the signature is valid and it has not expired.
+   * @returns {object|null} payload { sub, typ, exp }
+   */
+  function decode(token) {
+    const [body, mac] = String(token || "").split(".");
+    if (!body || !mac) return null;
+
+    const expected = crypto.createHmac("sha256", key).update(body).digest("base64url");
+    if (!safeEqual(mac, expected)) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      return payload.exp > Date.now() ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function issue(profileId, typ, ttlMs) {
+    const exp = Date.now() + ttlMs;
+    return { token: sign({ sub: profileId, typ, exp }), expiresAt: new Date(exp).toISOString() };
+  }
+
+  function tooManyAttempts(attemptKey) {
+    const entry = failures.get(attemptKey);
+    if (!entry) return false;
+    if (Date.now() - entry.since > ATTEMPT_WINDOW_MS) {
+      failures.delete(attemptKey);
+      return false;
+    }
+    return entry.count >= MAX_FAILED_ATTEMPTS;
+  }
+
+  function recordFailure(attemptKey) {
+    const now = Date.now();
+    const entry = failures.get(attemptKey);
+    if (entry && now - entry.since <= ATTEMPT_WINDOW_MS) {
+      entry.count++;
+      return;
+    }
+
+    // Re-insert so the Map stays ordered by window start, oldest first
+    failures.delete(attemptKey);
+    if (failures.size >= MAX_TRACKED_CLIENTS) {
+      for (const [k, e] of failures) {
+        if (now - e.since <= ATTEMPT_WINDOW_MS) break;
+        failures.delete(k);
+      }
+      if (failures.size >= MAX_TRACKED_CLIENTS) failures.delete(failures.keys().next().value);
+    }
+    failures.set(attemptKey, { count: 1, since: now });
+  }
+
+  return {
+    ephemeral,
+
+    /**
+     * True when the request may use this profile.
+     */
+    canUse(profileId, profile, token) {
+      if (!isPrivateProfile(profile)) return true;
+      const payload = decode(token);
+      return Boolean(payload && payload.typ === "access" && payload.sub === profileId);
+    },
+
+    /**
+     * Profile an invite token was issued for (null if invalid/expired).
+     */
+    inviteProfileId(invite) {
+      const payload = decode(invite);
+      return payload?.typ === "invite" ? payload.sub : null;
+    },
+
+    /**
+     * Signed invite link token for a private profile.
+     */
+    createInvite(profileId, ttlMs = inviteTtlMs) {
+      return issue(profileId, "invite", ttlMs);
+    },
+
+    /**
+     * Exchange a passcode or invite token for an access token.
+     * @param {object} credentials { passcode?, invite? }
+     * @param {string} client      caller identity for attempt limiting (IP)
+     * @returns {{ token, expiresAt }}
+     * @throws  Error{ code, status } on bad credentials
+     */
+    unlock(profileId, profile, { passcode, invite } = {}, client = "unknown") {
+      if (invite) {
+        const payload = decode(invite);
+        if (!profile || !payload || payload.typ !== "invite" || payload.sub !== profileId) {
+          throw accessError("Invite link is invalid or has expired", "invalid_invite", 403);
+        }
+        return issue(profileId, "access", tokenTtlMs);
+      }
+
+      if (!profile) throw accessError("Profile not found", "profile_not_found", 404);
+      if (!isPrivateProfile(profile)) return issue(profileId, "access", tokenTtlMs);
+
+      const attemptKey = `${client}:${profileId}`;
+      if (tooManyAttempts(attemptKey)) {
+        throw accessError("Too many attempts. Try again later.", "too_many_attempts", 429);
+      }
+
+      const expected = profile.access?.passcodeEnv ? process.env[profile.access.passcodeEnv] : "";
+      if (!expected || !passcode || !safeEqual(passcode, expected)) {
+        recordFailure(attemptKey);
+        throw accessError("Incorrect passcode", "invalid_passcode", 403);
+      }
+
+      failures.delete(attemptKey);
+      return issue(profileId, "access", tokenTtlMs);
+    },
+  };
+}
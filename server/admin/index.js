@@ -0,0 +1,390 @@
+/* ================================
+   Admin API (mounted at /api/admin)
+   - Authorization: Bearer <ADMIN_TOKEN>, or the httpOnly cookie set by
+     POST /login (used by the /admin console); disabled when ADMIN_TOKEN is unset
+   - Knowledge files: list / read / create / update / delete / revisions / restore
+   - Profiles: list / read / create / update / delete / set default / revisions / restore
+   - POST /reindex to reload right away (the file watcher also picks changes up)
+   - POST /retrieve to see which chunks a question would pull in
+   - GET /leads for contact messages and meeting requests; reschedule /
+     cancel a meeting (sends updated calendar invites)
+   - GET /memories + approve/reject for memories the assistant proposed
+   - GET /outbox + re-send for queued / failed emails
+================================ */
+
+import crypto from "crypto";
+import express from "express";
+
+import { readCookie } from "../sessions/index.js";
+import { adminError, isValidProfileId } from "./store.js";
+import { MEMORY_STATUSES } from "../memories/index.js";
+import { OUTBOX_STATUSES } from "../outbox/index.js";
+
+export { createAdminStore } from "./store.js";
+
+export const ADMIN_COOKIE = "admin_sid";
+const ADMIN_SESSION_MS = 12 * 60 * 60 * 1000;
+
+function tokensMatch(given, expected) {
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  return header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+}
+
+// Console cookie: "<expiresAt>.<hmac>", keyed by the admin token so
+// rotating ADMIN_TOKEN logs everyone out
+function signSession(token, expiresAt) {
+  const mac = crypto.createHmac("sha256", token).update(`admin:${expiresAt}`).digest("base64url");
+  return `${expiresAt}.${mac}`;
+}
+
+function validSession(token, value) {
+  const [expiresAt] = String(value || "").split(".");
+  if (!(Number(expiresAt) > Date.now())) return false;
+  return tokensMatch(value, signSession(token, expiresAt));
+}
+
+/**
+ * Fields are checked against the profiles schema when the file is saved.
+ */
+function checkProfile(profile) {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    throw adminError("profile must be an object", "invalid_profile", 400);
+  }
+  return profile;
+}
+
+function profileIdParam(id) {
+  const value = String(id || "").trim().toLowerCase();
+  if (!isValidProfileId(value)) {
+    throw adminError("Profile ids are lowercase letters, digits, - and _", "invalid_profile_id", 400);
+  }
+  return value;
+}
+
+/**
+ * @param {object} deps
+ *   - store   : createAdminStore() result
+ *   - token   : ADMIN_TOKEN (falsy = admin API disabled)
+ *   - reload(reason) : reloads knowledge/profiles, resolves { changed, version, files }
+ *   - leads, leadTypes : lead store + accepted ?type= values
+ *   - meetings : { reschedule(id, slotStart), cancel(id, reason) } -> updated lead
+ *   - memories : memory proposal queue (createMemoryProposals)
+ *   - outbox   : email outbox (createOutbox)
+ *   - retrieve(query, profileId) : retrieval tester
+ *   - describe()     : extra info for GET /  (chunk counts, version, ...)
+ */
+export function createAdminRouter({
+  store,
+  token,
+  reload,
+  leads,
+  leadTypes = [],
+  meetings,
+  memories,
+  outbox,
+  retrieve,
+  describe = () => ({}),
+}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!token) {
+      return res.status(503).json({ success: false, error: "Admin API is disabled (set ADMIN_TOKEN)", code: "admin_disabled" });
+    }
+    next();
+  });
+
+  // Exchange the admin token for a console cookie: { token }
+  router.post("/login", (req, res) => {
+    if (!tokensMatch(req.body?.token || "", token)) {
+      return res.status(401).json({ success: false, error: "Wrong admin token", code: "unauthorized" });
+    }
+    const expiresAt = Date.now() + ADMIN_SESSION_MS;
+    res.cookie(ADMIN_COOKIE, signSession(token, expiresAt), {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: ADMIN_SESSION_MS,
+      path: "/api/admin",
+    });
+    res.json({ success: true, expiresAt: new Date(expiresAt).toISOString() });
+  });
+
+  router.post("/logout", (req, res) => {
+    res.clearCookie(ADMIN_COOKIE, { path: "/api/admin" });
+    res.json({ success: true });
+  });
+
+  router.use((req, res, next) => {
+    const authorized = bearerToken(req)
+      ? tokensMatch(bearerToken(req), token)
+      : validSession(token, readCookie(req, ADMIN_COOKIE));
+    if (!authorized) {
+      return res.status(401).json({ success: false, error: "Unauthorized", code: "unauthorized" });
+    }
+    next();
+  });
+
+  // Wrap async handlers: known errors keep their status, the rest are 500s
+  const handle = (fn) => async (req, res) => {
+    try {
+      const body = await fn(req, res);
+      if (!res.headersSent) res.json({ success: true, ...body });
+    } catch (error) {
+      if (!error.status) console.error("Admin API Error:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || String(error),
+        code: error.code || "unknown",
+        ...(error.details && { details: error.details }),
+      });
+    }
+  };
+
+  // Saves are picked up by the watcher too; reloading here lets the
+  // response report the new knowledge version
+  const reloadAfter = async (result, reason) => ({ ...result, reload: await reload(reason) });
+
+  router.get("/", handle(async () => describe()));
+
+  router.post("/reindex", handle(async () => ({ reload: await reload("admin") })));
+
+  // { query, profileId? } -> ranked chunks, flagged when they'd make it into the prompt
+  router.post(
+    "/retrieve",
+    handle(async (req) => {
+      const query = String(req.body?.query || "").trim();
+      if (!query) throw adminError("query is required", "invalid_query", 400);
+      return retrieve(query, req.body?.profileId);
+    })
+  );
+
+  // ?type=contact|meeting&limit=50&offset=0
+  router.get(
+    "/leads",
+    handle(async (req) => {
+      const type = leadTypes.includes(req.query.type) ? req.query.type : undefined;
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+      return { type: type || null, limit, offset, ...(await leads.list({ type, limit, offset })) };
+    })
+  );
+
+  // { slotStart } = a "start" from /api/availability
+  router.post(
+    "/meetings/:id/reschedule",
+    handle(async (req) => {
+      const slotStart = req.body?.slotStart;
+      if (typeof slotStart !== "string" || !slotStart) throw adminError("slotStart is required", "invalid_slot", 400);
+      return { lead: await meetings.reschedule(req.params.id, slotStart) };
+    })
+  );
+
+  // { reason? } goes into the cancellation email
+  router.post(
+    "/meetings/:id/cancel",
+    handle(async (req) => {
+      const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 500) : "";
+      return { lead: await meetings.cancel(req.params.id, reason) };
+    })
+  );
+
+  /* ---------- memory proposals ---------- */
+
+  router.get(
+    "/memories",
+    handle(async (req) => {
+      const status = MEMORY_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+      return { status: status || null, limit, offset, ...(await memories.list({ status, limit, offset })) };
+    })
+  );
+
+  // { text? } overrides the proposed wording; appended as "* text" to the profile's memoriesFile
+  router.post(
+    "/memories/:id/approve",
+    handle(async (req) => {
+      const { proposal, applied } = await memories.decide(req.params.id, {
+        status: "approved",
+        text: req.body?.text,
+        note: req.body?.note,
+        apply: (p) =>
+          store.appendKnowledge(p.memoriesFile, `* ${p.text.replace(/\s+/g, " ")}`, {
+            header: `# ${p.profileName || p.profileId} — Memories (Editable)\n\n`,
+          }),
+      });
+      return reloadAfter({ proposal, file: applied }, `admin: approved memory for ${proposal.profileId}`);
+    })
+  );
+
+  router.post(
+    "/memories/:id/reject",
+    handle(async (req) => ({
+      proposal: (await memories.decide(req.params.id, { status: "rejected", note: req.body?.note })).proposal,
+    }))
+  );
+
+  /* ---------- email outbox ---------- */
+
+  // ?status=pending|sending|sent|failed&limit=50&offset=0 (no message bodies)
+  router.get(
+    "/outbox",
+    handle(async (req) => {
+      const status = OUTBOX_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+      return { status: status || null, limit, offset, ...(await outbox.list({ status, limit, offset })) };
+    })
+  );
+
+  router.get(
+    "/outbox/:id",
+    handle(async (req) => {
+      const entry = await outbox.get(req.params.id);
+      if (!entry) throw adminError("Outbox message not found", "not_found", 404);
+      return { entry };
+    })
+  );
+
+  // Failed (or still waiting) messages go back in line with fresh attempts
+  router.post("/outbox/:id/retry", handle(async (req) => ({ entry: await outbox.retry(req.params.id) })));
+
+  /* ---------- knowledge ---------- */
+
+  router.get("/knowledge", handle(async () => ({ files: await store.listKnowledge() })));
+
+  router.post(
+    "/knowledge",
+    handle(async (req, res) => {
+      const result = await store.writeKnowledge(req.body?.name, req.body?.content, { create: true });
+      res.status(201);
+      return reloadAfter(result, `admin: created ${result.name}`);
+    })
+  );
+
+  router.get("/knowledge/:name", handle(async (req) => store.readKnowledge(req.params.name)));
+
+  router.put(
+    "/knowledge/:name",
+    handle(async (req, res) => {
+      const result = await store.writeKnowledge(req.params.name, req.body?.content);
+      if (result.created) res.status(201);
+      return reloadAfter(result, `admin: saved ${result.name}`);
+    })
+  );
+
+  router.delete(
+    "/knowledge/:name",
+    handle(async (req) => {
+      const result = await store.deleteKnowledge(req.params.name);
+      return reloadAfter(result, `admin: deleted ${result.name}`);
+    })
+  );
+
+  router.get(
+    "/knowledge/:name/revisions",
+    handle(async (req) => ({ name: req.params.name, revisions: await store.knowledgeRevisions(req.params.name) }))
+  );
+
+  router.get(
+    "/knowledge/:name/revisions/:rev",
+    handle(async (req) => store.readKnowledgeRevision(req.params.name, req.params.rev))
+  );
+
+  router.post(
+    "/knowledge/:name/revisions/:rev/restore",
+    handle(async (req) => {
+      const result = await store.restoreKnowledge(req.params.name, req.params.rev);
+      return reloadAfter(result, `admin: restored ${result.name}@${req.params.rev}`);
+    })
+  );
+
+  /* ---------- profiles ---------- */
+
+  router.get("/profiles", handle(async () => store.readProfiles()));
+
+  // Set the default profile: { "default": "sankalp" }
+  router.patch(
+    "/profiles",
+    handle(async (req) => {
+      const id = profileIdParam(req.body?.default);
+      const doc = await store.updateProfiles((d) => {
+        if (!d.profiles[id]) throw adminError("Profile not found", "not_found", 404);
+        d.default = id;
+      });
+      return reloadAfter({ default: doc.default }, `admin: default profile ${id}`);
+    })
+  );
+
+  router.get("/profiles/revisions", handle(async () => ({ revisions: await store.profileRevisions() })));
+
+  router.get("/profiles/revisions/:rev", handle(async (req) => store.readProfilesRevision(req.params.rev)));
+
+  router.post(
+    "/profiles/revisions/:rev/restore",
+    handle(async (req) => reloadAfter(await store.restoreProfiles(req.params.rev), `admin: restored profiles@${req.params.rev}`))
+  );
+
+  router.get(
+    "/profiles/:id",
+    handle(async (req) => {
+      const id = profileIdParam(req.params.id);
+      const doc = await store.readProfiles();
+      if (!doc.profiles[id]) throw adminError("Profile not found", "not_found", 404);
+      return { id, profile: doc.profiles[id], isDefault: doc.default === id };
+    })
+  );
+
+  // Create: { "id": "acme", "profile": { ... } }
+  router.post(
+    "/profiles",
+    handle(async (req, res) => {
+      const id = profileIdParam(req.body?.id);
+      const profile = checkProfile(req.body?.profile);
+      await store.updateProfiles((d) => {
+        if (d.profiles[id]) throw adminError("Profile already exists", "exists", 409);
+        d.profiles[id] = profile;
+      });
+      res.status(201);
+      return reloadAfter({ id, profile }, `admin: created profile ${id}`);
+    })
+  );
+
+  // Create or replace: { "profile": { ... } }
+  router.put(
+    "/profiles/:id",
+    handle(async (req, res) => {
+      const id = profileIdParam(req.params.id);
+      const profile = checkProfile(req.body?.profile);
+      let created = false;
+      await store.updateProfiles((d) => {
+        created = !d.profiles[id];
+        d.profiles[id] = profile;
+      });
+      if (created) res.status(201);
+      return reloadAfter({ id, profile, created }, `admin: saved profile ${id}`);
+    })
+  );
+
+  router.delete(
+    "/profiles/:id",
+    handle(async (req) => {
+      const id = profileIdParam(req.params.id);
+      await store.updateProfiles((d) => {
+        if (!d.profiles[id]) throw adminError("Profile not found", "not_found", 404);
+        if (d.default === id) throw adminError("Can't delete the default profile", "is_default", 409);
+        delete d.profiles[id];
+      });
+      return reloadAfter({ id }, `admin: deleted profile ${id}`);
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,300 @@
+/* ================================
+   Admin Store
+   - Knowledge files (server/knowledge/*.md) and profiles.json
+   - Names are validated against a strict pattern and resolved inside
+     their directory (no traversal, no hidden files)
+   - Writes are write-then-rename; every overwrite/delete first copies
+     the current content into a revision so it can be rolled back
+   - profiles.json is checked against the profiles schema before any write
+================================ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+import { normalizeProfiles, validateProfiles, parseProfiles, PROFILE_ID_RE } from "../profiles/index.js";
+
+const KNOWLEDGE_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_-]*(?:\.[A-Za-z0-9_-]+)*\.md$/;
+const REVISION_ID_RE = /^\d{13}-[a-f0-9]{6}$/;
+
+export const MAX_KNOWLEDGE_BYTES = 256 * 1024;
+
+export function adminError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+export function isValidKnowledgeName(name) {
+  return typeof name === "string" && name.length <= 100 && KNOWLEDGE_NAME_RE.test(name);
+}
+
+export function isValidProfileId(id) {
+  return typeof id === "string" && PROFILE_ID_RE.test(id);
+}
+
+function invalidProfiles(message, issues) {
+  const errors = issues.filter((i) => i.level === "error");
+  const error = adminError(`${message}: ${errors.map((i) => i.message).join("; ")}`, "invalid_profiles", 422);
+  error.details = errors;
+  return error;
+}
+
+/**
+ * Resolve `name` inside `dir`, refusing anything that escapes it.
+ */
+function resolveInside(dir, name) {
+  const root = path.resolve(dir);
+  const full = path.resolve(root, name);
+  if (path.dirname(full) !== root) throw adminError("Invalid name", "invalid_name", 400);
+  return full;
+}
+
+async function writeAtomic(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tmp, content);
+    await fs.rename(tmp, file);
+  } catch (error) {
+    await fs.rm(tmp, { force: true });
+    throw error;
+  }
+}
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * @param {object} options
+ *   - knowledgeDir  : server/knowledge
+ *   - profilesPath  : server/profiles.json
+ *   - revisionsDir  : where old versions are kept (server/data/revisions)
+ *   - maxRevisions  : per file; oldest are dropped
+ */
+export function createAdminStore({ knowledgeDir, profilesPath, revisionsDir, maxRevisions = 50 }) {
+  // One write at a time, so revisions and files never interleave
+  let writeChain = Promise.resolve();
+  const serialize = (fn) => {
+    const run = writeChain.then(fn);
+    writeChain = run.catch(() => {});
+    return run;
+  };
+
+  const revisionDirFor = (kind, name) => path.join(revisionsDir, kind, name);
+
+  async function saveRevision(kind, name, content) {
+    if (content === null) return null;
+
+    const dir = revisionDirFor(kind, name);
+    const id = `${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+    await writeAtomic(path.join(dir, id), content);
+
+    const all = (await fs.readdir(dir)).filter((f) => REVISION_ID_RE.test(f)).sort();
+    for (const old of all.slice(0, Math.max(0, all.length - maxRevisions))) {
+      await fs.rm(path.join(dir, old), { force: true });
+    }
+    return id;
+  }
+
+  async function listRevisions(kind, name) {
+    const dir = revisionDirFor(kind, name);
+    let files = [];
+    try {
+      files = (await fs.readdir(dir)).filter((f) => REVISION_ID_RE.test(f));
+    } catch {
+      return [];
+    }
+
+    const revisions = [];
+    for (const id of files.sort().reverse()) {
+      const stat = await fs.stat(path.join(dir, id));
+      revisions.push({ id, savedAt: new Date(Number(id.split("-")[0])).toISOString(), size: stat.size });
+    }
+    return revisions;
+  }
+
+  async function readRevision(kind, name, id) {
+    if (!REVISION_ID_RE.test(String(id))) throw adminError("Revision not found", "revision_not_found", 404);
+    const content = await readIfExists(path.join(revisionDirFor(kind, name), id));
+    if (content === null) throw adminError("Revision not found", "revision_not_found", 404);
+    return content;
+  }
+
+  function knowledgePath(name) {
+    if (!isValidKnowledgeName(name)) {
+      throw adminError("Knowledge file names must look like 'topic.md' (letters, digits, - and _)", "invalid_name", 400);
+    }
+    return resolveInside(knowledgeDir, name);
+  }
+
+  /* ---------- profiles.json ---------- */
+
+  async function readProfilesDoc() {
+    const raw = await readIfExists(profilesPath);
+    if (raw === null) return { default: "default", profiles: {} };
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw adminError(`profiles.json is not valid JSON: ${error.message}`, "invalid_profiles", 500);
+    }
+
+    // Same shapes the server accepts; always written back as { default, profiles }
+    return normalizeProfiles(parsed);
+  }
+
+  async function writeProfilesDoc(doc) {
+    const { issues } = validateProfiles(doc);
+    if (issues.some((i) => i.level === "error")) throw invalidProfiles("profiles.json would be invalid", issues);
+
+    await saveRevision("profiles", "profiles.json", await readIfExists(profilesPath));
+    await writeAtomic(profilesPath, `${JSON.stringify(doc, null, 2)}\n`);
+  }
+
+  return {
+    /* ---------- knowledge ---------- */
+
+    async listKnowledge() {
+      let names = [];
+      try {
+        names = (await fs.readdir(knowledgeDir)).filter(isValidKnowledgeName).sort();
+      } catch {
+        return [];
+      }
+
+      const files = [];
+      for (const name of names) {
+        const stat = await fs.stat(path.join(knowledgeDir, name));
+        files.push({ name, size: stat.size, updatedAt: stat.mtime.toISOString() });
+      }
+      return files;
+    },
+
+    async readKnowledge(name) {
+      const file = knowledgePath(name);
+      const content = await readIfExists(file);
+      if (content === null) throw adminError("Knowledge file not found", "not_found", 404);
+      const stat = await fs.stat(file);
+      return { name, content, size: stat.size, updatedAt: stat.mtime.toISOString() };
+    },
+
+    /**
+     * Create or replace a knowledge file.
+     * @param {object} options { create: true } fails if the file exists
+     * @returns {Promise<{ name, created, revision }>} revision = id of the previous version
+     */
+    writeKnowledge(name, content, { create = false } = {}) {
+      const file = knowledgePath(name);
+      if (typeof content !== "string") throw adminError("content must be a string", "invalid_content", 400);
+      if (Buffer.byteLength(content) > MAX_KNOWLEDGE_BYTES) {
+        throw adminError(`content is larger than ${MAX_KNOWLEDGE_BYTES} bytes`, "too_large", 413);
+      }
+
+      return serialize(async () => {
+        const previous = await readIfExists(file);
+        if (create && previous !== null) throw adminError("Knowledge file already exists", "exists", 409);
+
+        const revision = await saveRevision("knowledge", name, previous);
+        await writeAtomic(file, content);
+        return { name, created: previous === null, revision };
+      });
+    },
+
+    /**
+     * Append a line to a knowledge file, creating it with `header` if needed.
+     * @returns {Promise<{ name, created, revision }>}
+     */
+    appendKnowledge(name, line, { header = "" } = {}) {
+      const file = knowledgePath(name);
+      return serialize(async () => {
+        const previous = await readIfExists(file);
+        const base = previous === null || !previous.trim() ? header : previous.replace(/\s*$/, "\n");
+        const content = `${base}${line}\n`;
+        if (Buffer.byteLength(content) > MAX_KNOWLEDGE_BYTES) {
+          throw adminError(`${name} would be larger than ${MAX_KNOWLEDGE_BYTES} bytes`, "too_large", 413);
+        }
+
+        const revision = await saveRevision("knowledge", name, previous);
+        await writeAtomic(file, content);
+        return { name, created: previous === null, revision };
+      });
+    },
+
+    deleteKnowledge(name) {
+      const file = knowledgePath(name);
+      return serialize(async () => {
+        const previous = await readIfExists(file);
+        if (previous === null) throw adminError("Knowledge file not found", "not_found", 404);
+
+        const revision = await saveRevision("knowledge", name, previous);
+        await fs.rm(file);
+        return { name, revision };
+      });
+    },
+
+    knowledgeRevisions(name) {
+      knowledgePath(name);
+      return listRevisions("knowledge", name);
+    },
+
+    async readKnowledgeRevision(name, id) {
+      knowledgePath(name);
+      return { name, revision: id, content: await readRevision("knowledge", name, id) };
+    },
+
+    /**
+     * Put an old revision back (the current content becomes a new revision).
+     */
+    async restoreKnowledge(name, id) {
+      knowledgePath(name);
+      const content = await readRevision("knowledge", name, id);
+      const result = await this.writeKnowledge(name, content);
+      return { ...result, restored: id };
+    },
+
+    /* ---------- profiles ---------- */
+
+    readProfiles: readProfilesDoc,
+
+    /**
+     * Apply `change(doc)` to profiles.json and save it (with a revision).
+     * `change` may throw an adminError to abort without writing.
+     */
+    updateProfiles(change) {
+      return serialize(async () => {
+        const doc = await readProfilesDoc();
+        const next = (await change(doc)) || doc;
+        await writeProfilesDoc(next);
+        return next;
+      });
+    },
+
+    profileRevisions() {
+      return listRevisions("profiles", "profiles.json");
+    },
+
+    async readProfilesRevision(id) {
+      return { revision: id, content: await readRevision("profiles", "profiles.json", id) };
+    },
+
+    restoreProfiles(id) {
+      return serialize(async () => {
+        const content = await readRevision("profiles", "profiles.json", id);
+        const { profiles, issues } = parseProfiles(content);
+        if (!profiles) throw invalidProfiles("That revision is not a valid profiles.json", issues);
+        await saveRevision("profiles", "profiles.json", await readIfExists(profilesPath));
+        await writeAtomic(profilesPath, content);
+        return { restored: id };
+      });
+    },
+  };
+}
@@ -0,0 +1,397 @@
+/* ================================
+   Availability
+   - Bookable meeting slots from server/availability.json: timezone,
+     weekly hours, slot length, buffer around meetings, minimum notice,
+     booking horizon and blackout dates
+   - Slots start at the beginning of each working range, every
+     slotMinutes, in the owner's timezone (DST-aware via Intl)
+   - Meetings already requested (busy()) block their slot plus the buffer
+   - book() re-checks and runs the booking one at a time, so two visitors
+     can't take the same slot
+================================ */
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Longest range one slots() call returns
+export const MAX_RANGE_DAYS = 31;
+
+function availabilityError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/* ---------- dates in a timezone ---------- */
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * @returns {{ date: "YYYY-MM-DD", time: "HH:MM", weekday: "mon".."sun", offsetMs }}
+ */
+export function zonedParts(ms, timezone) {
+  const p = Object.fromEntries(formatterFor(timezone).formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${p.hour}:${p.minute}`,
+    weekday: p.weekday.slice(0, 3).toLowerCase(),
+    offsetMs: wall - Math.floor(ms / 1000) * 1000,
+  };
+}
+
+/**
+ * Instant for a wall-clock date + time in a timezone; null for times
+ * skipped by a DST change.
+ */
+export function zonedTime(date, time, timezone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [h, min] = time.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, h, min);
+  let ms = wall - zonedParts(wall, timezone).offsetMs;
+  ms = wall - zonedParts(ms, timezone).offsetMs;
+  const check = zonedParts(ms, timezone);
+  return check.date === date && check.time === time ? ms : null;
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+const fromMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const isDate = (value) => DATE_RE.test(String(value)) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+/* ---------- config ---------- */
+
+/**
+ * Validate availability.json and fill in defaults.
+ * @throws error with code "invalid_availability" listing every problem
+ */
+export function normalizeAvailability(raw = {}) {
+  const problems = [];
+  const c = raw && typeof raw === "object" ? raw : {};
+
+  const timezone = typeof c.timezone === "string" && c.timezone ? c.timezone : "UTC";
+  try {
+    formatterFor(timezone);
+  } catch {
+    problems.push(`timezone "${timezone}" is not a valid IANA timezone`);
+  }
+
+  const int = (key, fallback, min, max) => {
+    const value = c[key] ?? fallback;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      problems.push(`${key} must be a whole number from ${min} to ${max}`);
+      return fallback;
+    }
+    return value;
+  };
+  const slotMinutes = int("slotMinutes", 30, 5, 480);
+  const bufferMinutes = int("bufferMinutes", 0, 0, 240);
+  const minNoticeHours = int("minNoticeHours", 0, 0, 24 * 30);
+  const maxDaysAhead = int("maxDaysAhead", 60, 1, 365);
+
+  const weeklyHours = {};
+  for (const day of WEEKDAYS) {
+    const ranges = c.weeklyHours?.[day] ?? [];
+    weeklyHours[day] = [];
+    if (!Array.isArray(ranges)) {
+      problems.push(`weeklyHours.${day} must be a list of ["HH:MM", "HH:MM"] ranges`);
+      continue;
+    }
+    for (const range of ranges) {
+      const [start, end] = Array.isArray(range) ? range : [];
+      if (!TIME_RE.test(start) || !TIME_RE.test(end) || toMinutes(start) >= toMinutes(end)) {
+        problems.push(`weeklyHours.${day}: ${JSON.stringify(range)} is not a valid ["HH:MM", "HH:MM"] range`);
+        continue;
+      }
+      weeklyHours[day].push([start, end]);
+    }
+    weeklyHours[day].sort((a, b) => toMinutes(a[0]) - toMinutes(b[0]));
+  }
+  const unknownDays = Object.keys(c.weeklyHours || {}).filter((d) => !WEEKDAYS.includes(d));
+  if (unknownDays.length) problems.push(`weeklyHours: unknown day(s) ${unknownDays.join(", ")} (use ${WEEKDAYS.join(", ")})`);
+
+  // "YYYY-MM-DD" | { date } | { from, to } (inclusive), each with an optional reason
+  const blackoutDates = [];
+  for (const entry of c.blackoutDates || []) {
+    const e = typeof entry === "string" ? { date: entry } : entry || {};
+    const from = e.date ?? e.from;
+    const to = e.date ?? e.to;
+    if (!isDate(from) || !isDate(to) || from > to) {
+      problems.push(`blackoutDates: ${JSON.stringify(entry)} needs "date" or "from"/"to" as YYYY-MM-DD`);
+      continue;
+    }
+    blackoutDates.push({ from, to, ...(e.reason ? { reason: String(e.reason) } : {}) });
+  }
+
+  const preferredTimes = (c.preferredTimes || []).filter((t) => {
+    if (TIME_RE.test(t)) return true;
+    problems.push(`preferredTimes: "${t}" is not HH:MM`);
+    return false;
+  });
+
+  if (problems.length) {
+    const error = availabilityError(`Invalid availability config:\n- ${problems.join("\n- ")}`, "invalid_availability", 500);
+    error.problems = problems;
+    throw error;
+  }
+
+  return {
+    timezone,
+    slotMinutes,
+    bufferMinutes,
+    minNoticeHours,
+    maxDaysAhead,
+    weeklyHours,
+    blackoutDates,
+    preferredTimes,
+    responseTime: typeof c.responseTime === "string" ? c.responseTime : null,
+  };
+}
+
+/* ---------- engine ---------- */
+
+/**
+ * @param {object} options
+ *   - config : availability.json contents (normalized here)
+ *   - busy({ except }) : async, meetings already requested: [{ start, end }] (ms
+ *       or ISO); `except` = idempotency key of a booking being retried, whose
+ *       own meeting must not count against it
+ *   - now()  : current time in ms (tests / previews)
+ */
+export function createAvailability({ config, busy = async () => [], now = () => Date.now() }) {
+  const settings = normalizeAvailability(config);
+  const { timezone, slotMinutes, bufferMinutes } = settings;
+  const slotMs = slotMinutes * MINUTE_MS;
+  const bufferMs = bufferMinutes * MINUTE_MS;
+
+  const labelFormat = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  });
+
+  const blackoutFor = (date) => settings.blackoutDates.find((b) => b.from <= date && date <= b.to) || null;
+  const today = () => zonedParts(now(), timezone).date;
+  const lastBookableDate = () => addDays(today(), settings.maxDaysAhead);
+
+  // Every slot of one local day from the weekly hours, ignoring notice/bookings
+  function daySlots(date) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const slots = [];
+    for (const [start, end] of settings.weeklyHours[weekday]) {
+      for (let m = toMinutes(start); m + slotMinutes <= toMinutes(end); m += slotMinutes) {
+        const time = fromMinutes(m);
+        const ms = zonedTime(date, time, timezone);
+        if (ms === null) continue;
+        slots.push({ ms, time });
+      }
+    }
+    return { weekday, slots };
+  }
+
+  async function busyIntervals(options = {}) {
+    const list = await busy(options);
+    return list
+      .map((b) => ({ start: new Date(b.start).getTime(), end: new Date(b.end ?? b.start).getTime() }))
+      .filter((b) => Number.isFinite(b.start) && Number.isFinite(b.end));
+  }
+
+  const overlaps = (ms, intervals) => intervals.some((b) => ms < b.end + bufferMs && ms + slotMs > b.start - bufferMs);
+
+  function toSlot({ ms, time }) {
+    return {
+      start: new Date(ms).toISOString(),
+      end: new Date(ms + slotMs).toISOString(),
+      time,
+      label: labelFormat.format(new Date(ms)),
+      ...(settings.preferredTimes.includes(time) ? { preferred: true } : {}),
+    };
+  }
+
+  async function check(start, { except } = {}) {
+    const ms = typeof start === "number" ? start : Date.parse(String(start ?? ""));
+    if (!Number.isFinite(ms)) {
+      return { ok: false, reason: "invalid_time", message: "Meeting time must be an ISO 8601 date-time" };
+    }
+
+    const { date } = zonedParts(ms, timezone);
+    const fail = (reason, message) => ({ ok: false, reason, message });
+
+    if (ms < now() + settings.minNoticeHours * 60 * MINUTE_MS) {
+      return fail("too_soon", `Meetings need at least ${settings.minNoticeHours} hours' notice`);
+    }
+    if (date > lastBookableDate()) {
+      return fail("too_far", `Meetings can be booked up to ${settings.maxDaysAhead} days ahead`);
+    }
+    const blackout = blackoutFor(date);
+    if (blackout) return fail("blackout", `${date} is unavailable${blackout.reason ? ` (${blackout.reason})` : ""}`);
+
+    const slot = daySlots(date).slots.find((s) => s.ms === ms);
+    if (!slot) {
+      return fail(
+        "outside_hours",
+        `That time is outside working hours (${slotMinutes}-minute slots, ${timezone}); pick one from /api/availability`
+      );
+    }
+    if (overlaps(ms, await busyIntervals({ except }))) return fail("taken", "That time is already booked");
+
+    return { ok: true, slot: toSlot(slot) };
+  }
+
+  /**
+   * Free slots per day, in the owner's timezone.
+   * @param {object} range { from?, to? } YYYY-MM-DD (default: the next 7 days),
+   *   maxDays (longer ranges are cut short)
+   * @returns {Promise<{ timezone, slotMinutes, from, to, days: Array<{ date, weekday, blackout?, slots }> }>}
+   */
+  async function slots({ from, to, maxDays = MAX_RANGE_DAYS } = {}) {
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      throw availabilityError("from/to must be dates (YYYY-MM-DD)", "invalid_range", 400);
+    }
+    const first = from && from > today() ? from : today();
+    let last = to || addDays(first, 6);
+    if (last < first) throw availabilityError("to must not be before from", "invalid_range", 400);
+    const days = Math.min(maxDays, MAX_RANGE_DAYS);
+    if (daysBetween(first, last) >= days) last = addDays(first, days - 1);
+    if (last > lastBookableDate()) last = lastBookableDate();
+
+    const intervals = await busyIntervals();
+    const earliest = now() + settings.minNoticeHours * 60 * MINUTE_MS;
+    const result = [];
+
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+      const blackout = blackoutFor(date);
+      const { weekday, slots: all } = daySlots(date);
+      result.push({
+        date,
+        weekday,
+        ...(blackout ? { blackout: blackout.reason || true } : {}),
+        slots: blackout ? [] : all.filter((s) => s.ms >= earliest && !overlaps(s.ms, intervals)).map(toSlot),
+      });
+    }
+
+    return { timezone, slotMinutes, from: first, to: last, days: result };
+  }
+
+  // One booking at a time
+  let chain = Promise.resolve();
+
+  return {
+    settings,
+
+    /**
+     * Human-readable summary (get_availability tool, API header).
+     */
+    describe() {
+      const hours = {};
+      for (const day of WEEKDAYS) {
+        hours[day] = settings.weeklyHours[day].map(([s, e]) => `${s}-${e}`).join(", ") || "closed";
+      }
+      return {
+        timezone,
+        timezoneName: labelFormat.formatToParts(new Date(now())).find((p) => p.type === "timeZoneName")?.value || timezone,
+        slotMinutes,
+        bufferMinutes,
+        minNoticeHours: settings.minNoticeHours,
+        maxDaysAhead: settings.maxDaysAhead,
+        weeklyHours: hours,
+        preferredTimes: settings.preferredTimes,
+        blackoutDates: settings.blackoutDates,
+        responseTime: settings.responseTime,
+      };
+    },
+
+    slots,
+
+    /**
+     * ISO start for a date + wall-clock time in the owner's timezone, or
+     * null (bad input, or a time skipped by DST).
+     */
+    startFor(date, time) {
+      if (!isDate(date) || !TIME_RE.test(String(time))) return null;
+      const ms = zonedTime(date, time, timezone);
+      return ms === null ? null : new Date(ms).toISOString();
+    },
+
+    /**
+     * Is `start` (ISO date-time) a free slot?
+     * @param {object} options { except } see busy()
+     * @returns {Promise<{ ok: true, slot } | { ok: false, reason, message }>}
+     *   reason: invalid_time | too_soon | too_far | blackout | outside_hours | taken
+     */
+    check: (start, options) => check(start, options),
+
+    /**
+     * The next few free slots on or after a time (for "that slot is gone" replies).
+     */
+    async suggest(after, count = 3) {
+      const ms = Number.isFinite(Date.parse(after)) ? Date.parse(after) : now();
+      const from = zonedParts(Math.max(ms, now()), timezone).date;
+      const found = [];
+      for (let start = from; found.length < count && start <= lastBookableDate(); start = addDays(start, MAX_RANGE_DAYS)) {
+        const { days } = await slots({ from: start, to: addDays(start, MAX_RANGE_DAYS - 1) });
+        for (const day of days) found.push(...day.slots.filter((s) => Date.parse(s.start) >= ms));
+      }
+      return found.slice(0, count);
+    },
+
+    /**
+     * Check the slot and run book(slot) while no other booking can run.
+     * @param {object} options { except } see busy()
+     * @throws error with code "slot_unavailable" (409) and `reason`
+     */
+    book(start, book, options) {
+      const run = chain.then(async () => {
+        const result = await check(start, options);
+        if (!result.ok) {
+          const error = availabilityError(result.message, "slot_unavailable", 409);
+          error.reason = result.reason;
+          throw error;
+        }
+        return book(result.slot);
+      });
+      chain = run.catch(() => {});
+      return run;
+    },
+  };
+}
@@ -0,0 +1,158 @@
+/* ================================
+   Calendar Invites (RFC 5545)
+   - One VEVENT per meeting, attached to the meeting emails as invite.ics
+   - Times are written in UTC ("...Z"), so every calendar shows them in
+     the reader's own timezone without a VTIMEZONE block
+   - UID stays the same for the life of a meeting; SEQUENCE goes up on
+     every change, so calendars replace the old event:
+       METHOD:REQUEST  new or rescheduled meeting
+       METHOD:CANCEL   cancelled meeting (STATUS:CANCELLED)
+   - Lines end in CRLF and are folded at 75 octets
+================================ */
+
+import { isEmailAddress } from "../mail/address.js";
+
+export const INVITE_METHODS = ["REQUEST", "CANCEL"];
+
+const encoder = new TextEncoder();
+
+function calendarError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * TEXT value escaping (backslash, semicolon, comma, newlines).
+ */
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+// Parameter values (CN=...) can't be escaped, only quoted
+function paramValue(value) {
+  const clean = String(value ?? "").replace(/["\r\n]/g, "");
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character.
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the 75
+    const limit = parts.length ? 74 : 75;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+export function formatUtc(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw calendarError(`Invalid date for invite: ${value}`, "invalid_invite");
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// ORGANIZER / ATTENDEE line; the address goes in unquoted, so it must be a plain email
+function person(kind, { name, email }, params = []) {
+  if (!isEmailAddress(email)) {
+    throw calendarError(`Invalid ${kind.toLowerCase()} email for invite`, "invalid_invite");
+  }
+  const all = [...(name ? [`CN=${paramValue(name)}`] : []), ...params];
+  return `${kind}${all.map((p) => `;${p}`).join("")}:mailto:${email}`;
+}
+
+/**
+ * Build one invite.
+ * @param {object} event
+ *   - method     : "REQUEST" | "CANCEL"
+ *   - uid        : stable per meeting (e.g. "<id>@mail-domain")
+ *   - sequence   : 0 for the first invite, +1 per change
+ *   - start, end : Date | ISO | ms
+ *   - summary, description?, location?, url?
+ *   - organizer  : { name, email }
+ *   - attendees  : [{ name, email }]
+ *   - prodId     : "-//Company//Product//EN"
+ *   - stamp      : when the invite was made (default: now)
+ * @returns {string} iCalendar text
+ */
+export function buildInvite({
+  method = "REQUEST",
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  prodId = "-//Portfolio//Meetings//EN",
+  stamp = Date.now(),
+}) {
+  if (!INVITE_METHODS.includes(method)) throw calendarError(`Unsupported invite method: ${method}`, "invalid_invite");
+  if (!uid) throw calendarError("An invite needs a UID", "invalid_invite");
+  if (!organizer?.email) throw calendarError("An invite needs an organizer email", "invalid_invite");
+
+  const cancelled = method === "CANCEL";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    `PRODID:${prodId}`,
+    "VERSION:2.0",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url ? [`URL:${String(url).replace(/[\r\n]/g, "")}`] : []),
+    person("ORGANIZER", organizer),
+    ...attendees
+      .filter((a) => a?.email)
+      .map((a) =>
+        person("ATTENDEE", a, [
+          "CUTYPE=INDIVIDUAL",
+          "ROLE=REQ-PARTICIPANT",
+          ...(cancelled ? [] : ["PARTSTAT=NEEDS-ACTION", "RSVP=TRUE"]),
+        ])
+      ),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Mail attachment for an invite (mailer message "attachments").
+ */
+export function inviteAttachment(ics, method = "REQUEST") {
+  return {
+    filename: method === "CANCEL" ? "cancel.ics" : "invite.ics",
+    content: ics,
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+}
@@ -0,0 +1,167 @@
+/* ================================
+   Email Templates
+   - One pair of files per email in server/email/templates:
+       <name>.txt  : "Subject: ..." line, blank line, plain-text body
+       <name>.html : HTML body, wrapped in layout.html
+   - Mustache-style tags: {{value}} (escaped in HTML), {{{value}}} (raw,
+     only for trusted markup), {{#value}}...{{/value}} / {{^value}}...{{/value}}
+     (shown when truthy / falsy); dotted paths like {{brand.ownerName}}
+   - Every template gets `brand` (owner name, title, location, colors)
+   - samples.json holds example data for the preview route
+================================ */
+
+import fs from "fs/promises";
+import path from "path";
+
+const TEMPLATE_NAME_RE = /^[a-z0-9][a-z0-9-]*$/;
+const TOKEN_RE =
+  /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+const SUBJECT_RE = /^Subject:[ \t]*(.*)\r?\n(?:\r?\n)?/;
+const HEX_COLOR_RE = /^#[0-9a-f]{3,8}$/i;
+
+export const DEFAULT_BRAND = {
+  ownerName: "Sankalp Singh",
+  ownerTitle: "Full Stack Developer",
+  location: "Dallas, Texas",
+  colors: {
+    accent: "#99FFCC",
+    dark: "#1e1e1e",
+    darkAlt: "#2a2a2a",
+  },
+};
+
+function templateError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function lookup(data, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+const asText = (value) => (value == null ? "" : String(value));
+
+/**
+ * Render one template string. Single pass, so tags inside values are
+ * never expanded.
+ * @param {object} options { escape } applied to {{value}} (identity for text)
+ */
+export function renderTemplate(source, data, { escape = escapeHtml } = {}) {
+  return source.replace(TOKEN_RE, (_, kind, sectionKey, inner, rawKey, key) => {
+    if (sectionKey) {
+      const value = lookup(data, sectionKey);
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      return truthy === (kind === "#") ? renderTemplate(inner, data, { escape }) : "";
+    }
+    if (rawKey) return asText(lookup(data, rawKey));
+    return escape(asText(lookup(data, key)));
+  });
+}
+
+/**
+ * Brand settings from config, falling back to DEFAULT_BRAND (colors must
+ * be hex so they can't break out of a style attribute).
+ */
+export function resolveBrand(overrides = {}) {
+  const o = overrides || {};
+  const pick = (value, fallback) => (typeof value === "string" && value.trim() ? value.trim() : fallback);
+  const color = (value, fallback) => (HEX_COLOR_RE.test(String(value || "")) ? value : fallback);
+
+  return {
+    ownerName: pick(o.ownerName, DEFAULT_BRAND.ownerName),
+    ownerTitle: pick(o.ownerTitle, DEFAULT_BRAND.ownerTitle),
+    location: pick(o.location, DEFAULT_BRAND.location),
+    colors: {
+      accent: color(o.colors?.accent, DEFAULT_BRAND.colors.accent),
+      dark: color(o.colors?.dark, DEFAULT_BRAND.colors.dark),
+      darkAlt: color(o.colors?.darkAlt, DEFAULT_BRAND.colors.darkAlt),
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ *   - dir   : template directory
+ *   - brand : resolveBrand() result
+ *   - cache : keep files in memory (production); otherwise re-read on every render
+ */
+export function createEmailTemplates({ dir, brand = resolveBrand(), cache = false }) {
+  const files = new Map();
+
+  async function read(file, { optional = false } = {}) {
+    if (cache && files.has(file)) return files.get(file);
+    let content = null;
+    try {
+      content = await fs.readFile(path.join(dir, file), "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (!optional) throw templateError(`Email template not found: ${file}`, "template_not_found", 404);
+    }
+    if (cache) files.set(file, content);
+    return content;
+  }
+
+  return {
+    brand,
+
+    /**
+     * @returns {Promise<{ subject: string, text: string, html: string|null }>}
+     */
+    async render(name, data = {}) {
+      if (!TEMPLATE_NAME_RE.test(String(name))) {
+        throw templateError(`Invalid email template name: ${name}`, "template_not_found", 404);
+      }
+
+      const context = { ...data, brand };
+      const textSource = await read(`${name}.txt`);
+      const subjectMatch = SUBJECT_RE.exec(textSource);
+      if (!subjectMatch) throw templateError(`${name}.txt must start with a "Subject:" line`, "invalid_template", 500);
+
+      const subject = renderTemplate(subjectMatch[1], context, { escape: asText })
+        .replace(/[\r\n]+/g, " ")
+        .trim();
+      const text = renderTemplate(textSource.slice(subjectMatch[0].length), context, { escape: asText });
+
+      const htmlSource = await read(`${name}.html`, { optional: true });
+      let html = null;
+      if (htmlSource !== null) {
+        const layout = (await read("layout.html", { optional: true })) ?? "{{{content}}}";
+        const content = renderTemplate(htmlSource, context);
+        html = renderTemplate(layout, { ...context, subject, content });
+      }
+
+      return { subject, text, html };
+    },
+
+    /**
+     * Template names (one per .txt file).
+     */
+    async list() {
+      const names = await fs.readdir(dir).catch(() => []);
+      return names
+        .filter((f) => f.endsWith(".txt"))
+        .map((f) => f.slice(0, -4))
+        .filter((n) => TEMPLATE_NAME_RE.test(n))
+        .sort();
+    },
+
+    /**
+     * Example data per template (samples.json), for previews.
+     */
+    async samples() {
+      const raw = await read("samples.json", { optional: true });
+      return raw ? JSON.parse(raw) : {};
+    },
+  };
+}
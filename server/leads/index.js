@@ -0,0 +1,122 @@
+/* ================================
+   Leads
+   - Every contact message and meeting request, from the forms or the
+     assistant, appended to one JSONL file (server/data/leads.jsonl)
+   - Recorded before its emails are queued and kept once they are, even
+     if delivery later fails (see the outbox); removed again when queueing
+     fails or the submission is a duplicate
+   - update() / remove() rewrite the file (meeting reschedules and
+     cancellations, duplicate submissions); appends and rewrites run one
+     at a time
+================================ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export const LEAD_TYPES = ["contact", "meeting"];
+
+export function createLeadStore({ file }) {
+  let ready = null;
+  const ensureDir = () => (ready ??= fs.mkdir(path.dirname(file), { recursive: true }));
+
+  let chain = Promise.resolve();
+  const serialize = (fn) => {
+    const run = chain.then(fn);
+    chain = run.catch(() => {});
+    return run;
+  };
+
+  // Oldest first
+  async function readAll() {
+    let raw = "";
+    try {
+      raw = await fs.readFile(file, "utf8");
+    } catch {
+      return [];
+    }
+
+    const all = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        all.push(JSON.parse(line));
+      } catch {
+        // half-written line from a crash; skip it
+      }
+    }
+    return all;
+  }
+
+  async function writeAll(all) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, all.map((l) => `${JSON.stringify(l)}\n`).join(""));
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    /**
+     * @param {"contact"|"meeting"} type
+     * @param {object} data     form fields
+     * @param {object} details  { source: "form"|"chat", key, queued, outbox, calendar? }
+     *   calendar (meetings): { uid, sequence, status: "scheduled"|"cancelled" }
+     */
+    async record(type, data, details = {}) {
+      await ensureDir();
+      const lead = {
+        id: crypto.randomUUID(),
+        type,
+        createdAt: new Date().toISOString(),
+        ...details,
+        data,
+      };
+      await serialize(() => fs.appendFile(file, `${JSON.stringify(lead)}\n`));
+      return lead;
+    },
+
+    async get(id) {
+      return (await readAll()).find((lead) => lead.id === id) || null;
+    },
+
+    /**
+     * Change one lead in place.
+     * @param {function} change (lead) => void, mutates the lead
+     * @returns {Promise<object|null>} the updated lead, or null if not found
+     */
+    update(id, change) {
+      return serialize(async () => {
+        const all = await readAll();
+        const lead = all.find((l) => l.id === id);
+        if (!lead) return null;
+        change(lead);
+        lead.updatedAt = new Date().toISOString();
+        await writeAll(all);
+        return lead;
+      });
+    },
+
+    /**
+     * @returns {Promise<boolean>} false if not found
+     */
+    remove(id) {
+      return serialize(async () => {
+        const all = await readAll();
+        const rest = all.filter((l) => l.id !== id);
+        if (rest.length === all.length) return false;
+        await writeAll(rest);
+        return true;
+      });
+    },
+
+    /**
+     * Newest first.
+     * @param {object} options { type?, limit?, offset? }
+     * @returns {Promise<{ total, leads }>}
+     */
+    async list({ type, limit = 50, offset = 0 } = {}) {
+      const all = (await readAll()).filter((lead) => !type || lead.type === type);
+      all.reverse();
+      return { total: all.length, leads: all.slice(offset, offset + limit) };
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/* ================================
+   Anthropic adapter (Messages API)
+================================ */
+
+import { normalizeUsage, normalizeLLMError, alternateMessages, parseToolArguments } from "./shared.js";
+
+/**
+ * Normalized messages -> Messages API turns (tool_use / tool_result blocks).
+ */
+function toMessages(messages) {
+  const converted = messages.map((m) => {
+    if (m.role === "tool") {
+      return {
+        role: "user",
+        content: [{ type: "tool_result", tool_use_id: m.toolCallId, content: m.content }],
+      };
+    }
+    if (m.role === "assistant" && m.toolCalls?.length) {
+      const content = m.content ? [{ type: "text", text: m.content }] : [];
+      for (const call of m.toolCalls) {
+        content.push({ type: "tool_use", id: call.id, name: call.name, input: call.arguments || {} });
+      }
+      return { role: "assistant", content };
+    }
+    return { role: m.role, content: m.content };
+  });
+
+  return alternateMessages(converted);
+}
+
+export function createAnthropicProvider({ client, model = "claude-3-5-haiku-latest" }) {
+  const name = "anthropic";
+
+  function notConfigured() {
+    const error = new Error("Anthropic is not configured (missing ANTHROPIC_API_KEY)");
+    error.code = "not_configured";
+    error.status = 503;
+    return normalizeLLMError(error, name);
+  }
+
+  function toRequest(params) {
+    const request = {
+      model: params.model || model,
+      system: params.instructions,
+      messages: toMessages(params.messages),
+      max_tokens: params.maxTokens || 700,
+    };
+    if (params.temperature != null) request.temperature = params.temperature;
+    if (params.topP != null) request.top_p = params.topP;
+    if (params.stop?.length) request.stop_sequences = params.stop;
+    if (params.tools?.length) {
+      request.tools = params.tools.map((t) => ({
+        name: t.name,
+        description: t.description,
+        input_schema: t.parameters,
+      }));
+    }
+    return request;
+  }
+
+  return {
+    name,
+    defaultModel: model,
+    parameters: ["temperature", "maxTokens", "topP", "stop"],
+    configured: Boolean(client),
+
+    async generate(params) {
+      if (!client) throw notConfigured();
+
+      try {
+        const response = await client.messages.create(toRequest(params), { signal: params.signal });
+        const text = response.content
+          .filter((block) => block.type === "text")
+          .map((block) => block.text)
+          .join("");
+
+        return {
+          text: text.trim(),
+          toolCalls: response.content
+            .filter((block) => block.type === "tool_use")
+            .map((block) => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+          usage: normalizeUsage(response.usage?.input_tokens, response.usage?.output_tokens),
+          model: response.model,
+          provider: name,
+        };
+      } catch (error) {
+        throw normalizeLLMError(error, name);
+      }
+    },
+
+    async *stream(params) {
+      if (!client) throw notConfigured();
+
+      const request = toRequest(params);
+      let text = "";
+      let inputTokens = 0;
+      let outputTokens = 0;
+      let resolvedModel = request.model;
+      const toolBlocks = new Map(); // content block index -> { id, name, json }
+
+      try {
+        const stream = await client.messages.create(
+          { ...request, stream: true },
+          { signal: params.signal }
+        );
+
+        for await (const event of stream) {
+          if (event.type === "message_start") {
+            inputTokens = event.message?.usage?.input_tokens || 0;
+            resolvedModel = event.message?.model || resolvedModel;
+          } else if (event.type === "content_block_start" && event.content_block?.type === "tool_use") {
+            const { id, name: toolName } = event.content_block;
+            toolBlocks.set(event.index, { id, name: toolName, json: "" });
+          } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+            text += event.delta.text;
+            yield { type: "delta", delta: event.delta.text };
+          } else if (event.type === "content_block_delta" && event.delta?.type === "input_json_delta") {
+            const block = toolBlocks.get(event.index);
+            if (block) block.json += event.delta.partial_json;
+          } else if (event.type === "message_delta") {
+            outputTokens = event.usage?.output_tokens || outputTokens;
+          }
+        }
+      } catch (error) {
+        throw normalizeLLMError(error, name);
+      }
+
+      yield {
+        type: "done",
+        text: text.trim(),
+        toolCalls: [...toolBlocks.values()].map((b) => ({
+          id: b.id,
+          name: b.name,
+          arguments: parseToolArguments(b.json),
+        })),
+        usage: normalizeUsage(inputTokens, outputTokens),
+        model: resolvedModel,
+        provider: name,
+      };
+    },
+  };
+}
@@ -0,0 +1,132 @@
+/* ================================
+   Context Budget
+   - Estimates tokens for instructions, knowledge and history
+   - Keeps the newest turns that fit the budget
+   - Folds older turns into a rolling summary instead of dropping them
+================================ */
+
+/**
+ * Provider-agnostic token estimate (no tokenizer dependency).
+ * ~4 chars per token for English prose; dense text (code, numbers,
+ * Hinglish) trends higher, so take the larger of the two estimates.
+ */
+export function estimateTokens(text) {
+  const s = String(text || "");
+  if (!s) return 0;
+  const words = s.split(/\s+/).filter(Boolean).length;
+  return Math.max(Math.ceil(s.length / 4), Math.ceil(words * 1.3));
+}
+
+export const DEFAULT_BUDGET = {
+  maxInputTokens: 6000, // instructions + knowledge + summary + history + new message
+  knowledgeTokens: 2500, // cap for retrieved excerpts
+  summaryTokens: 300, // max length of the rolling summary
+  minRecentTurns: 4, // always sent verbatim, even if over budget
+};
+
+/**
+ * Merge a profile's "context" block over the defaults (ignores junk values).
+ */
+export function resolveBudget(overrides = {}, defaults = DEFAULT_BUDGET) {
+  const budget = { ...defaults };
+  for (const key of Object.keys(DEFAULT_BUDGET)) {
+    const v = Number(overrides?.[key]);
+    if (Number.isFinite(v) && v >= 0) budget[key] = Math.floor(v);
+  }
+  return budget;
+}
+
+/**
+ * Keep items in order while their combined size fits maxTokens.
+ */
+export function fitToBudget(items, maxTokens, textOf = (x) => x) {
+  const kept = [];
+  let used = 0;
+  for (const item of items) {
+    const t = estimateTokens(textOf(item));
+    if (used + t > maxTokens) break;
+    kept.push(item);
+    used += t;
+  }
+  return { kept, tokens: used };
+}
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a chat between a website visitor and an AI assistant.
+Merge the PREVIOUS SUMMARY with the NEW TURNS into one compact summary.
+Keep concrete facts the visitor shared (name, email, company, project details, dates, budget, decisions, open questions).
+Drop greetings and filler. Write plain sentences, no headers, third person ("The visitor ...").`;
+
+function formatTurns(turns) {
+  return turns
+    .map((m) => `${m.role === "assistant" ? "Assistant" : "Visitor"}: ${m.content}`)
+    .join("\n");
+}
+
+/**
+ * Choose which history turns to send and update session.summary if older
+ * turns no longer fit.
+ *
+ * @param {object} options
+ *   - session      : { messages: [{ seq, role, content }], summary? }
+ *   - budget       : resolveBudget() result
+ *   - fixedTokens  : tokens already committed (instructions + new message)
+ *   - provider     : LLM provider used to write the summary
+ * @returns {Promise<{ messages, historyTokens, summary, summarizedNow }>}
+ */
+export async function buildHistory({ session, budget, fixedTokens, provider }) {
+  const summary = session.summary || null;
+  const pending = summary
+    ? session.messages.filter((m) => m.seq > summary.throughSeq)
+    : session.messages;
+
+  // Reserve room for the summary we may have to write
+  const available = Math.max(0, budget.maxInputTokens - fixedTokens - budget.summaryTokens);
+
+  let used = 0;
+  let start = pending.length;
+  while (start > 0) {
+    const t = estimateTokens(pending[start - 1].content);
+    const mustKeep = pending.length - start < budget.minRecentTurns;
+    if (!mustKeep && used + t > available) break;
+    used += t;
+    start--;
+  }
+
+  const recent = pending.slice(start);
+  const overflow = pending.slice(0, start);
+  let summarizedNow = 0;
+
+  if (overflow.length) {
+    try {
+      const result = await provider.generate({
+        instructions: SUMMARY_INSTRUCTIONS,
+        messages: [
+          {
+            role: "user",
+            content: `PREVIOUS SUMMARY:\n${summary?.text || "(none)"}\n\nNEW TURNS:\n${formatTurns(overflow)}`,
+          },
+        ],
+        maxTokens: budget.summaryTokens,
+        temperature: 0.2,
+      });
+
+      session.summary = {
+        text: result.text,
+        throughSeq: overflow[overflow.length - 1].seq,
+        turns: (summary?.turns || 0) + overflow.length,
+        updatedAt: new Date().toISOString(),
+      };
+      summarizedNow = overflow.length;
+    } catch (error) {
+      // Older turns are simply left out this time; next turn retries
+      console.error("Conversation summary failed:", error?.message || error);
+    }
+  }
+
+  return {
+    messages: recent.map((m) => ({ role: m.role, content: m.content })),
+    historyTokens: used,
+    summary: session.summary || null,
+    summarizedNow,
+  };
+}
@@ -0,0 +1,64 @@
+/* ================================
+   Generation Settings
+   - model, temperature, maxTokens, topP, stop for a chat reply
+   - Env defaults (CHAT_*) with a profile's "generation" block on top
+   - Each adapter lists the settings it can send ("parameters");
+     the rest are reported as null so meta shows what really applied
+================================ */
+
+export const DEFAULT_GENERATION = {
+  model: null, // null = the provider's default model
+  temperature: 0.6,
+  maxTokens: 700,
+  topP: null,
+  stop: [],
+};
+
+// Most providers cap stop sequences at 4
+const MAX_STOP_SEQUENCES = 4;
+
+const inRange = (v, min, max) => Number.isFinite(v) && v >= min && v <= max;
+
+/**
+ * Merge a profile's "generation" block over the defaults (ignores junk values).
+ */
+export function resolveGeneration(overrides = {}, defaults = DEFAULT_GENERATION) {
+  const settings = { ...defaults };
+  const o = overrides || {};
+
+  if (typeof o.model === "string" && o.model.trim()) settings.model = o.model.trim();
+
+  const temperature = Number(o.temperature);
+  if (o.temperature !== undefined && o.temperature !== "" && inRange(temperature, 0, 2)) {
+    settings.temperature = temperature;
+  }
+
+  const maxTokens = Number(o.maxTokens);
+  if (Number.isInteger(maxTokens) && maxTokens >= 1) settings.maxTokens = maxTokens;
+
+  const topP = Number(o.topP);
+  if (o.topP !== undefined && o.topP !== "" && o.topP !== null && inRange(topP, 0, 1)) settings.topP = topP;
+
+  if (o.stop !== undefined) {
+    const list = Array.isArray(o.stop) ? o.stop : [o.stop];
+    settings.stop = list.filter((s) => typeof s === "string" && s).slice(0, MAX_STOP_SEQUENCES);
+  }
+
+  return settings;
+}
+
+/**
+ * What `provider` will actually use: model filled in, unsupported settings null.
+ */
+export function effectiveGeneration(settings, provider) {
+  const supported = new Set(provider.parameters || []);
+  const pick = (key, empty) => (supported.has(key) ? settings[key] : empty);
+
+  return {
+    model: settings.model || provider.defaultModel,
+    temperature: pick("temperature", null),
+    maxTokens: pick("maxTokens", null),
+    topP: pick("topP", null),
+    stop: pick("stop", []),
+  };
+}
@@ -0,0 +1,60 @@
+/* ================================
+   LLM Providers
+   - One interface behind /api/chat:
+       generate(params) -> { text, usage, model, provider }
+       stream(params)   -> async iterator of { type: "delta", delta }
+                           ending with { type: "done", text, usage, model, provider }
+   - params: { model, instructions, messages, maxTokens, temperature, topP, stop, tools, signal }
+     (provider.parameters lists the generation settings an adapter sends)
+   - Tool calling (normalized across adapters):
+       tools     : [{ name, description, parameters (JSON schema) }]
+       result    : toolCalls [{ id, name, arguments }] (also on the "done" event)
+       messages  : { role: "assistant", content, toolCalls }
+                   { role: "tool", toolCallId, name, content }
+   - Adapters: openai, anthropic, mock (offline)
+================================ */
+
+import { createOpenAIProvider } from "./openai.js";
+import { createAnthropicProvider } from "./anthropic.js";
+import { createMockProvider } from "./mock.js";
+
+export { normalizeUsage, normalizeLLMError, alternateMessages, parseToolArguments } from "./shared.js";
+
+export const PROVIDER_NAMES = ["openai", "anthropic", "mock"];
+
+/**
+ * @param {object} options - { openai, anthropic, defaultProvider, models }
+ *   openai / anthropic: SDK clients (null when no API key)
+ *   models: { openai, anthropic } default model names
+ */
+export function createLLM({ openai, anthropic, defaultProvider, models = {} } = {}) {
+  const providers = {
+    openai: createOpenAIProvider({ client: openai, model: models.openai }),
+    anthropic: createAnthropicProvider({ client: anthropic, model: models.anthropic }),
+    mock: createMockProvider(),
+  };
+
+  // Explicit choice, otherwise the first provider that has credentials
+  const fallback = openai ? "openai" : anthropic ? "anthropic" : "mock";
+  const requestedDefault = String(defaultProvider || "").trim().toLowerCase();
+  if (requestedDefault && !providers[requestedDefault]) {
+    throw new Error(`Unknown LLM_PROVIDER "${defaultProvider}" (use: ${PROVIDER_NAMES.join(", ")})`);
+  }
+  const defaultName = requestedDefault || fallback;
+
+  return {
+    defaultName,
+
+    /**
+     * Provider by name (e.g. a profile's "provider"), falling back to the default.
+     */
+    get(name) {
+      const key = String(name || "").trim().toLowerCase();
+      return providers[key] || providers[defaultName];
+    },
+
+    available() {
+      return PROVIDER_NAMES.filter((n) => providers[n].configured);
+    },
+  };
+}
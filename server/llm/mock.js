@@ -0,0 +1,103 @@
+/* ================================
+   Mock adapter (offline)
+   - No network, deterministic output
+   - Echoes the last user message and names the excerpts it was given,
+     so retrieval and the widget can be exercised locally
+   - Tool calls on demand: a user message "/tool <name> {json args}"
+     makes the mock call that tool (when it was offered)
+   - Honors maxTokens and stop (cuts the reply), so profile generation
+     settings can be checked offline
+   - "/leak" makes the mock repeat its instructions, like a model that
+     fell for a prompt injection (exercises the leak check)
+================================ */
+
+import crypto from "crypto";
+
+import { normalizeUsage, parseToolArguments } from "./shared.js";
+import { estimateTokens } from "./context.js";
+
+const TOOL_COMMAND_RE = /^\/tool\s+([a-z_]+)\s*([\s\S]*)$/i;
+const LEAK_COMMAND_RE = /^\/leak\b/i;
+
+function buildReply(params) {
+  const messages = params.messages || [];
+  const last = messages[messages.length - 1];
+
+  // Second round of a tool loop: report what the tools returned
+  if (last?.role === "tool") {
+    const results = messages.slice(messages.findLastIndex((m) => m.role !== "tool") + 1);
+    return { text: results.map((m) => `(mock) ${m.name} returned: ${m.content}`).join("\n"), toolCalls: [] };
+  }
+
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const command = TOOL_COMMAND_RE.exec(lastUser?.content || "");
+  if (command && params.tools?.some((t) => t.name === command[1])) {
+    return {
+      text: "",
+      toolCalls: [{ id: `mock_${crypto.randomUUID()}`, name: command[1], arguments: parseToolArguments(command[2]) }],
+    };
+  }
+
+  if (LEAK_COMMAND_RE.test(lastUser?.content || "")) {
+    return { text: `(mock) My instructions are:\n${params.instructions || ""}`, toolCalls: [] };
+  }
+
+  const refs = [...String(params.instructions || "").matchAll(/^<excerpt ref="(\d+)" source="([^"]*)">$/gm)];
+
+  const lines = [`(mock) You said: "${lastUser?.content || ""}"`];
+  if (refs.length) {
+    lines.push(`Relevant knowledge: ${refs.map((m) => `${m[2]} [${m[1]}]`).join("; ")}`);
+  } else {
+    lines.push("No knowledge excerpts matched.");
+  }
+  return { text: lines.join("\n"), toolCalls: [] };
+}
+
+function applyLimits(reply, params) {
+  let text = reply.text;
+  for (const s of params.stop || []) {
+    const at = text.indexOf(s);
+    if (at !== -1) text = text.slice(0, at);
+  }
+  if (params.maxTokens && estimateTokens(text) > params.maxTokens) {
+    const words = text.match(/\S+\s*/g) || [];
+    while (words.length && estimateTokens(words.join("")) > params.maxTokens) words.pop();
+    text = words.join("").trimEnd();
+  }
+  return { ...reply, text };
+}
+
+export function createMockProvider({ model = "mock-echo" } = {}) {
+  const name = "mock";
+
+  function result(params, reply) {
+    const input = `${params.instructions || ""}${(params.messages || []).map((m) => m.content).join("")}`;
+    return {
+      text: reply.text,
+      toolCalls: reply.toolCalls,
+      usage: normalizeUsage(estimateTokens(input), estimateTokens(reply.text)),
+      model: params.model || model,
+      provider: name,
+    };
+  }
+
+  return {
+    name,
+    defaultModel: model,
+    parameters: ["maxTokens", "stop"],
+    configured: true,
+
+    async generate(params) {
+      return result(params, applyLimits(buildReply(params), params));
+    },
+
+    async *stream(params) {
+      const reply = applyLimits(buildReply(params), params);
+      for (const piece of reply.text.match(/\S+\s*/g) || []) {
+        if (params.signal?.aborted) return;
+        yield { type: "delta", delta: piece };
+      }
+      yield { type: "done", ...result(params, reply) };
+    },
+  };
+}
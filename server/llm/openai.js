@@ -0,0 +1,130 @@
+/* ================================
+   OpenAI adapter (Responses API)
+================================ */
+
+import { normalizeUsage, normalizeLLMError, parseToolArguments } from "./shared.js";
+
+/**
+ * Normalized messages -> Responses API input items.
+ */
+function toInput(messages) {
+  const input = [];
+  for (const m of messages) {
+    if (m.role === "tool") {
+      input.push({ type: "function_call_output", call_id: m.toolCallId, output: m.content });
+      continue;
+    }
+    if (m.content) input.push({ role: m.role, content: m.content });
+    for (const call of m.toolCalls || []) {
+      input.push({
+        type: "function_call",
+        call_id: call.id,
+        name: call.name,
+        arguments: JSON.stringify(call.arguments || {}),
+      });
+    }
+  }
+  return input;
+}
+
+function toToolCall(item) {
+  return { id: item.call_id, name: item.name, arguments: parseToolArguments(item.arguments) };
+}
+
+export function createOpenAIProvider({ client, model = "gpt-4o-mini" }) {
+  const name = "openai";
+
+  function notConfigured() {
+    const error = new Error("OpenAI is not configured (missing OPENAI_API_KEY)");
+    error.code = "not_configured";
+    error.status = 503;
+    return normalizeLLMError(error, name);
+  }
+
+  function toRequest(params) {
+    const request = {
+      model: params.model || model,
+      instructions: params.instructions,
+      input: toInput(params.messages),
+      store: false,
+    };
+    // No stop sequences in the Responses API
+    if (params.maxTokens != null) request.max_output_tokens = params.maxTokens;
+    if (params.temperature != null) request.temperature = params.temperature;
+    if (params.topP != null) request.top_p = params.topP;
+    if (params.tools?.length) {
+      request.tools = params.tools.map((t) => ({
+        type: "function",
+        name: t.name,
+        description: t.description,
+        parameters: t.parameters,
+        strict: false,
+      }));
+    }
+    return request;
+  }
+
+  function toUsage(usage) {
+    return normalizeUsage(usage?.input_tokens, usage?.output_tokens);
+  }
+
+  return {
+    name,
+    defaultModel: model,
+    parameters: ["temperature", "maxTokens", "topP"],
+    configured: Boolean(client),
+
+    async generate(params) {
+      if (!client) throw notConfigured();
+
+      try {
+        const request = toRequest(params);
+        const response = await client.responses.create(request, { signal: params.signal });
+        return {
+          text: (response.output_text || "").trim(),
+          toolCalls: (response.output || []).filter((i) => i.type === "function_call").map(toToolCall),
+          usage: toUsage(response.usage),
+          model: response.model || request.model,
+          provider: name,
+        };
+      } catch (error) {
+        throw normalizeLLMError(error, name);
+      }
+    },
+
+    async *stream(params) {
+      if (!client) throw notConfigured();
+
+      const request = toRequest(params);
+      let text = "";
+      const toolCalls = [];
+      let usage = normalizeUsage();
+      let resolvedModel = request.model;
+
+      try {
+        const stream = await client.responses.create(
+          { ...request, stream: true },
+          { signal: params.signal }
+        );
+
+        for await (const event of stream) {
+          if (event.type === "response.output_text.delta") {
+            text += event.delta;
+            yield { type: "delta", delta: event.delta };
+          } else if (event.type === "response.output_item.done" && event.item?.type === "function_call") {
+            toolCalls.push(toToolCall(event.item));
+          } else if (event.type === "response.completed") {
+            usage = toUsage(event.response?.usage);
+            resolvedModel = event.response?.model || resolvedModel;
+          } else if (event.type === "response.failed" || event.type === "error") {
+            throw new Error(event.response?.error?.message || event.message || "Stream failed");
+          }
+        }
+      } catch (error) {
+        throw normalizeLLMError(error, name);
+      }
+
+      yield { type: "done", text: text.trim(), toolCalls, usage, model: resolvedModel, provider: name };
+    },
+  };
+}
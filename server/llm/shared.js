@@ -0,0 +1,79 @@
+/* ================================
+   LLM shared helpers
+   - Normalized usage + error shapes used by every adapter
+================================ */
+
+/**
+ * Normalized usage: { inputTokens, outputTokens, totalTokens }
+ */
+export function normalizeUsage(inputTokens, outputTokens) {
+  const input = Number(inputTokens) || 0;
+  const output = Number(outputTokens) || 0;
+  return { inputTokens: input, outputTokens: output, totalTokens: input + output };
+}
+
+function errorCode(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status === 400 || status === 404 || status === 422) return "bad_request";
+  if (status >= 500) return "unavailable";
+  return "unknown";
+}
+
+/**
+ * Wrap any SDK / network error into one shape:
+ * Error { provider, status, code, retryable }
+ */
+export function normalizeLLMError(error, provider) {
+  if (error?.provider) return error;
+
+  const status = Number(error?.status) || (error?.name === "AbortError" ? 499 : 502);
+  const code = error?.code === "not_configured" ? "not_configured" : errorCode(status);
+
+  const wrapped = new Error(error?.message || String(error));
+  wrapped.provider = provider;
+  wrapped.status = status;
+  wrapped.code = code;
+  wrapped.retryable = code === "rate_limit" || code === "unavailable";
+  wrapped.cause = error;
+  return wrapped;
+}
+
+function toBlocks(content) {
+  return typeof content === "string" ? [{ type: "text", text: content }] : content;
+}
+
+/**
+ * Drop leading assistant turns and merge consecutive same-role turns.
+ * Content may be a string or an array of content blocks.
+ * (Anthropic requires strict user/assistant alternation starting with user.)
+ */
+export function alternateMessages(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (!out.length && m.role !== "user") continue;
+    const last = out[out.length - 1];
+    if (!last || last.role !== m.role) {
+      out.push({ role: m.role, content: m.content });
+    } else if (typeof last.content === "string" && typeof m.content === "string") {
+      last.content += `\n\n${m.content}`;
+    } else {
+      last.content = [...toBlocks(last.content), ...toBlocks(m.content)];
+    }
+  }
+  return out;
+}
+
+/**
+ * Tool-call arguments arrive as JSON text; bad JSON becomes {} so
+ * validation reports the missing fields instead of crashing.
+ */
+export function parseToolArguments(raw) {
+  if (raw && typeof raw === "object") return raw;
+  try {
+    const parsed = JSON.parse(raw || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,18 @@
+/* ================================
+   Email Addresses
+   - One rule for every address a visitor gives us (tool arguments, the
+     meeting form) and every address written into a calendar invite
+   - Plain addr-spec only: no display names, quotes, comments or
+     whitespace, so an accepted address is safe in a header or an
+     unquoted "mailto:" value
+================================ */
+
+// dot-atom local part @ dot-separated hostname labels
+export const EMAIL_RE =
+  /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+
+export const MAX_EMAIL_LENGTH = 254;
+
+export function isEmailAddress(value) {
+  return typeof value === "string" && value.length <= MAX_EMAIL_LENGTH && EMAIL_RE.test(value);
+}
@@ -0,0 +1,59 @@
+/* ================================
+   Dev transports (no email leaves the machine)
+   - file    : writes each message as an .eml file (open it in any mail
+               client) under server/data/mail
+   - console : logs the headers, the text part and attachment names
+================================ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Builds the raw RFC 822 message without sending it
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+function slug(text) {
+  return String(text || "message")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40) || "message";
+}
+
+export function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    configured: true,
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      // Random suffix: two messages in the same millisecond get their own files
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const file = path.join(dir, `${stamp}-${crypto.randomBytes(3).toString("hex")}-${slug(message.subject)}.eml`);
+      await fs.writeFile(file, info.message, { flag: "wx" });
+      console.log(`📧 Mail written to ${path.relative(process.cwd(), file)}`);
+      return { id: info.messageId || null, file };
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    configured: true,
+
+    async send(message) {
+      const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        message.replyTo ? `Reply-To: ${message.replyTo}` : null,
+        `Subject: ${message.subject}`,
+        message.attachments?.length ? `Attachments: ${message.attachments.map((a) => a.filename).join(", ")}` : null,
+      ].filter(Boolean);
+      console.log(`📧 Mail (console transport)\n${headers.join("\n")}\n\n${message.text}\n`);
+      return { id: null };
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/* ================================
+   Mailer
+   - One interface behind every email the server sends:
+       send({ from, to, replyTo, subject, text, html, attachments }) -> { id, transport }
+     attachments: [{ filename, content (string), contentType }]
+   - Transports: mailgun, smtp, file (.eml files), console
+   - MAIL_TRANSPORT picks one; otherwise Mailgun or SMTP when their
+     settings are present, else the file transport outside production
+================================ */
+
+import { createMailgunTransport } from "./mailgun.js";
+import { createSmtpTransport } from "./smtp.js";
+import { createFileTransport, createConsoleTransport } from "./dev.js";
+
+export const TRANSPORT_NAMES = ["mailgun", "smtp", "file", "console"];
+
+export function mailNotConfiguredError(message = "No mail transport is configured (set MAIL_TRANSPORT, MAILGUN_* or SMTP_*).") {
+  const error = new Error(message);
+  error.code = "mail_not_configured";
+  return error;
+}
+
+/**
+ * @param {object} options
+ *   - transport  : MAIL_TRANSPORT (optional)
+ *   - mailgun    : { apiKey, domain, url }
+ *   - smtp       : { host, port, secure, user, pass }
+ *   - dir        : where the file transport writes .eml files
+ *   - production : no silent fallback to the file transport
+ */
+export function createMailer({ transport, mailgun = {}, smtp = {}, dir, production = false } = {}) {
+  const transports = {
+    mailgun: createMailgunTransport(mailgun),
+    smtp: createSmtpTransport(smtp),
+    file: createFileTransport({ dir }),
+    console: createConsoleTransport(),
+  };
+
+  const requested = String(transport || "").trim().toLowerCase();
+  if (requested && !transports[requested]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (use: ${TRANSPORT_NAMES.join(", ")})`);
+  }
+
+  const fallback = transports.mailgun.configured
+    ? "mailgun"
+    : transports.smtp.configured
+      ? "smtp"
+      : production
+        ? null
+        : "file";
+  const name = requested || fallback;
+  const active = name ? transports[name] : null;
+
+  return {
+    name,
+    configured: Boolean(active?.configured),
+    // True for file/console: mail stays on this machine
+    local: name === "file" || name === "console",
+
+    async send(message) {
+      if (!active?.configured) {
+        throw mailNotConfiguredError(
+          name ? `MAIL_TRANSPORT is "${name}" but its settings are missing.` : undefined
+        );
+      }
+      const result = await active.send(message);
+      return { ...result, transport: name };
+    },
+  };
+}
@@ -0,0 +1,36 @@
+/* ================================
+   Mailgun transport
+   - mailgun.js client; "replyTo" becomes the h:Reply-To header,
+     "attachments" the attachment field
+   - MAILGUN_API_BASE_URL picks the US/EU endpoint
+================================ */
+
+import FormData from "form-data";
+import Mailgun from "mailgun.js";
+
+export function createMailgunTransport({ apiKey, domain, url = "https://api.mailgun.net" }) {
+  const client = apiKey && domain ? new Mailgun(FormData).client({ username: "api", key: apiKey, url }) : null;
+
+  return {
+    name: "mailgun",
+    configured: Boolean(client),
+
+    async send(message) {
+      const { replyTo, attachments, ...rest } = message;
+      const result = await client.messages.create(domain, {
+        ...rest,
+        ...(replyTo ? { "h:Reply-To": replyTo } : {}),
+        ...(attachments?.length
+          ? {
+              attachment: attachments.map((a) => ({
+                filename: a.filename,
+                data: Buffer.from(a.content),
+                contentType: a.contentType,
+              })),
+            }
+          : {}),
+      });
+      return { id: result?.id || null };
+    },
+  };
+}
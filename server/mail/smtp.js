@@ -0,0 +1,28 @@
+/* ================================
+   SMTP transport
+   - Any SMTP server (SES, Postmark, Gmail, a local MailHog...) via nodemailer
+   - Port 465 uses TLS from the start; others upgrade with STARTTLS
+================================ */
+
+import nodemailer from "nodemailer";
+
+export function createSmtpTransport({ host, port = 587, secure, user, pass }) {
+  const transporter = host
+    ? nodemailer.createTransport({
+        host,
+        port,
+        secure: secure ?? port === 465,
+        auth: user ? { user, pass } : undefined,
+      })
+    : null;
+
+  return {
+    name: "smtp",
+    configured: Boolean(transporter),
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId || null };
+    },
+  };
+}
@@ -0,0 +1,155 @@
+/* ================================
+   Memory Proposals
+   - The assistant's propose_memory tool queues what a visitor shared,
+     with a snippet of the conversation it came from
+   - The owner approves (optionally editing the text) or rejects each one
+     in the admin API; approved memories are appended to the profile's
+     "memoriesFile" there
+   - Stored as one JSON file (server/data/memory-proposals.json)
+================================ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export const MEMORY_STATUSES = ["pending", "approved", "rejected"];
+
+export const MAX_MEMORY_CHARS = 500;
+// Pending proposals one chat session may have queued at once
+const MAX_PENDING_PER_SESSION = 5;
+
+function memoryError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Last few turns before (and including) the one that shared the memory.
+ */
+export function conversationSnippet(messages, { turns = 4, maxChars = 300 } = {}) {
+  return messages
+    .filter((m) => (m.role === "user" || m.role === "assistant") && m.content)
+    .slice(-turns)
+    .map((m) => ({ role: m.role, content: String(m.content).slice(0, maxChars) }));
+}
+
+/**
+ * @param {object} options
+ *   - file : JSON file holding every proposal
+ */
+export function createMemoryProposals({ file }) {
+  // One write at a time (read-modify-write of the whole file)
+  let chain = Promise.resolve();
+  const serialize = (fn) => {
+    const run = chain.then(fn);
+    chain = run.catch(() => {});
+    return run;
+  };
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async function writeAll(proposals) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(proposals, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    /**
+     * Queue a memory for review.
+     * @param {object} proposal { profileId, profileName, memoriesFile, text, snippet, sessionId }
+     */
+    propose(proposal) {
+      const text = String(proposal.text || "").trim();
+      if (!text) throw memoryError("memory is required", "invalid_memory", 400);
+      if (text.length > MAX_MEMORY_CHARS) {
+        throw memoryError(`memory is too long (max ${MAX_MEMORY_CHARS})`, "invalid_memory", 400);
+      }
+
+      return serialize(async () => {
+        const all = await readAll();
+        const pending = all.filter((p) => p.status === "pending" && p.sessionId === proposal.sessionId);
+        if (pending.length >= MAX_PENDING_PER_SESSION) {
+          throw memoryError("Too many memories are already waiting for review", "too_many_pending", 429);
+        }
+
+        const entry = {
+          id: crypto.randomUUID(),
+          status: "pending",
+          createdAt: new Date().toISOString(),
+          profileId: proposal.profileId,
+          profileName: proposal.profileName || null,
+          memoriesFile: proposal.memoriesFile,
+          text,
+          snippet: proposal.snippet || [],
+          sessionId: proposal.sessionId || null,
+        };
+        all.push(entry);
+        await writeAll(all);
+        return entry;
+      });
+    },
+
+    /**
+     * Newest first.
+     * @param {object} options { status?, profileId?, limit?, offset? }
+     */
+    async list({ status, profileId, limit = 50, offset = 0 } = {}) {
+      const all = (await readAll())
+        .filter((p) => (!status || p.status === status) && (!profileId || p.profileId === profileId))
+        .reverse();
+      return { total: all.length, proposals: all.slice(offset, offset + limit) };
+    },
+
+    async get(id) {
+      return (await readAll()).find((p) => p.id === id) || null;
+    },
+
+    /**
+     * Approve or reject a pending proposal. `apply(proposal)` runs before the
+     * decision is saved (e.g. appending to the memories file); if it throws,
+     * the proposal stays pending.
+     * @param {object} decision { status: "approved"|"rejected", text?, note?, apply? }
+     */
+    decide(id, { status, text, note, apply }) {
+      if (status !== "approved" && status !== "rejected") {
+        throw memoryError('status must be "approved" or "rejected"', "invalid_status", 400);
+      }
+
+      return serialize(async () => {
+        const all = await readAll();
+        const proposal = all.find((p) => p.id === id);
+        if (!proposal) throw memoryError("Memory proposal not found", "not_found", 404);
+        if (proposal.status !== "pending") {
+          throw memoryError(`Memory proposal was already ${proposal.status}`, "already_decided", 409);
+        }
+
+        if (status === "approved" && text !== undefined) {
+          const edited = String(text).trim();
+          if (!edited || edited.length > MAX_MEMORY_CHARS) {
+            throw memoryError(`text must be 1-${MAX_MEMORY_CHARS} characters`, "invalid_memory", 400);
+          }
+          proposal.text = edited;
+        }
+
+        const applied = status === "approved" && apply ? await apply(proposal) : null;
+
+        proposal.status = status;
+        proposal.decidedAt = new Date().toISOString();
+        if (note) proposal.note = String(note).slice(0, MAX_MEMORY_CHARS);
+        await writeAll(all);
+        return { proposal, applied };
+      });
+    },
+  };
+}
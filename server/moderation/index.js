@@ -0,0 +1,316 @@
+/* ================================
+   Moderation
+   - Per-profile rules ("moderation" in profiles.json) checked on the
+     visitor's message before the model sees it, and on the reply before
+     the visitor does:
+       input  : maxChars, block (regexes), blockWords,
+                injection "flag" (default) | "block" | "off"
+       output : maxChars, block, blockWords, redact ["email", "phone"], allow
+       provider: { input, output } -> OpenAI moderation endpoint
+   - A blocked message or reply is replaced by the profile's refusal;
+     replies that leak the system prompt (see ./injection.js) always are
+   - Every block is logged to the console and a JSONL file
+     (server/data/moderation.jsonl)
+================================ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { detectInjection, detectLeak } from "./injection.js";
+
+export const DEFAULT_REFUSAL = "Sorry, I can't help with that one. Let's talk about something else.";
+
+const PII_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  phone: /(?<![\w+])(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}(?!\w)/g,
+};
+const PII_PLACEHOLDERS = { email: "[email removed]", phone: "[phone removed]" };
+
+// Streamed replies hold back this many characters so a blocked word or a
+// phone number split across deltas is caught before it is sent
+const STREAM_HOLDBACK_CHARS = 64;
+
+const EXCERPT_CHARS = 200;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Compiled rules, cached per rules object (profiles are replaced on reload)
+const compiled = new WeakMap();
+
+function compileRules(rules) {
+  if (!rules) return null;
+  if (compiled.has(rules)) return compiled.get(rules);
+
+  const patterns = [];
+  for (const source of rules.block || []) {
+    try {
+      patterns.push(new RegExp(source, "iu"));
+    } catch (error) {
+      console.error(`Moderation: skipping invalid pattern ${source}:`, error.message);
+    }
+  }
+  for (const word of rules.blockWords || []) {
+    patterns.push(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, "iu"));
+  }
+
+  const result = {
+    maxChars: Number(rules.maxChars) > 0 ? Number(rules.maxChars) : null,
+    patterns,
+    redact: (rules.redact || []).filter((kind) => PII_PATTERNS[kind]),
+    allow: new Set((rules.allow || []).map((s) => String(s).toLowerCase())),
+  };
+  compiled.set(rules, result);
+  return result;
+}
+
+function findBlocked(text, rules) {
+  return rules?.patterns.find((re) => re.test(text)) || null;
+}
+
+/**
+ * Replace emails / phone numbers (except allow-listed ones, e.g. the
+ * owner's public contact details).
+ * @returns {{ text: string, count: number }}
+ */
+export function redactPII(text, kinds, allow = new Set()) {
+  let count = 0;
+  let out = String(text || "");
+  for (const kind of kinds) {
+    out = out.replace(PII_PATTERNS[kind], (match) => {
+      if (allow.has(match.toLowerCase())) return match;
+      count++;
+      return PII_PLACEHOLDERS[kind];
+    });
+  }
+  return { text: out, count };
+}
+
+/**
+ * @param {object} options
+ *   - openai        : SDK client for provider moderation (optional)
+ *   - model         : moderation model
+ *   - logFile       : JSONL file for blocked events
+ *   - maxInputChars : default input limit for profiles that don't set one
+ */
+export function createModeration({ openai = null, model = "omni-moderation-latest", logFile, maxInputChars = 4000 } = {}) {
+  let warnedNoProvider = false;
+
+  const settingsFor = (profile) => profile?.moderation || {};
+  const refusalFor = (profile) => settingsFor(profile).refusal || DEFAULT_REFUSAL;
+
+  async function log(event) {
+    console.warn(`🛡️ Moderation ${event.action} ${event.stage} (${event.profileId}): ${event.reason}`);
+    if (!logFile) return;
+    try {
+      await fs.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.appendFile(logFile, `${JSON.stringify({ at: new Date().toISOString(), ...event })}\n`);
+    } catch (error) {
+      console.error("Moderation log failed:", error?.message || error);
+    }
+  }
+
+  // null when provider moderation is unavailable or fails (fails open)
+  async function providerFlags(text) {
+    if (!openai) {
+      if (!warnedNoProvider) console.warn("⚠️ Provider moderation is enabled for a profile but OPENAI_API_KEY is not set.");
+      warnedNoProvider = true;
+      return null;
+    }
+    try {
+      const response = await openai.moderations.create({ model, input: text });
+      const result = response.results?.[0];
+      if (!result?.flagged) return [];
+      return Object.entries(result.categories || {})
+        .filter(([, flagged]) => flagged)
+        .map(([category]) => category);
+    } catch (error) {
+      console.error("Provider moderation failed (allowing):", error?.message || error);
+      return null;
+    }
+  }
+
+  async function blocked(stage, reason, profile, context, text, extra = {}) {
+    await log({
+      action: "blocked",
+      stage,
+      reason,
+      profileId: profile?.id || null,
+      sessionId: context.sessionId || null,
+      excerpt: String(text).slice(0, EXCERPT_CHARS),
+      ...extra,
+    });
+    return { blocked: stage, reason };
+  }
+
+  const moderation = {
+    refusalFor,
+
+    /**
+     * @returns {Promise<{ blocked: false, injection: string[] } | { blocked: "input", reason, refusal }>}
+     *   injection: ids of the injection patterns found (when flagged, not blocked)
+     */
+    async checkInput(text, profile, context = {}) {
+      const settings = settingsFor(profile);
+      const rules = compileRules(settings.input);
+      const limit = rules?.maxChars || maxInputChars;
+
+      if (limit && text.length > limit) {
+        const report = await blocked("input", "too_long", profile, context, text, { length: text.length });
+        return { ...report, refusal: `That message is too long. Please keep it under ${limit} characters.` };
+      }
+
+      const pattern = findBlocked(text, rules);
+      if (pattern) {
+        const report = await blocked("input", "blocked_term", profile, context, text, { rule: pattern.source });
+        return { ...report, refusal: refusalFor(profile) };
+      }
+
+      const injectionMode = settings.input?.injection || "flag";
+      const injection = injectionMode === "off" ? [] : detectInjection(text).map((found) => found.id);
+      if (injection.length && injectionMode === "block") {
+        const report = await blocked("input", "injection", profile, context, text, { patterns: injection });
+        return { ...report, refusal: refusalFor(profile) };
+      }
+      if (injection.length) {
+        await log({
+          action: "flagged",
+          stage: "input",
+          reason: "injection",
+          profileId: profile?.id || null,
+          sessionId: context.sessionId || null,
+          excerpt: text.slice(0, EXCERPT_CHARS),
+          patterns: injection,
+        });
+      }
+
+      if (settings.provider?.input) {
+        const flags = await providerFlags(text);
+        if (flags?.length) {
+          const report = await blocked("input", "flagged", profile, context, text, { categories: flags });
+          return { ...report, refusal: refusalFor(profile) };
+        }
+      }
+
+      return { blocked: false, injection };
+    },
+
+    /**
+     * Final reply check. `context.guard` ({ canary, prompt }) enables the
+     * system prompt leak check.
+     * @returns {Promise<{ text, report: { blocked, reason?, redacted, truncated } }>}
+     */
+    async checkOutput(text, profile, context = {}) {
+      const settings = settingsFor(profile);
+      const rules = compileRules(settings.output);
+
+      const leak = detectLeak(text, context.guard);
+      if (leak) {
+        const report = await blocked("output", "prompt_leak", profile, context, `[${leak}]`);
+        return { text: refusalFor(profile), report: { ...report, redacted: 0, truncated: false } };
+      }
+
+      const pattern = findBlocked(text, rules);
+      if (pattern) {
+        const report = await blocked("output", "blocked_term", profile, context, text, { rule: pattern.source });
+        return { text: refusalFor(profile), report: { ...report, redacted: 0, truncated: false } };
+      }
+
+      if (settings.provider?.output) {
+        const flags = await providerFlags(text);
+        if (flags?.length) {
+          const report = await blocked("output", "flagged", profile, context, text, { categories: flags });
+          return { text: refusalFor(profile), report: { ...report, redacted: 0, truncated: false } };
+        }
+      }
+
+      let out = text;
+      let redacted = 0;
+      if (rules?.redact.length) ({ text: out, count: redacted } = redactPII(out, rules.redact, rules.allow));
+
+      const truncated = Boolean(rules?.maxChars && out.length > rules.maxChars);
+      if (truncated) out = `${out.slice(0, rules.maxChars).trimEnd()}…`;
+
+      return { text: out, report: { blocked: false, redacted, truncated } };
+    },
+
+    /**
+     * Filters streamed deltas with the profile's output rules (and the leak
+     * check when the turn's `guard` is given). Text is held
+     * back until it is safe; once a rule trips, nothing more is streamed and
+     * the final "done" text (from checkOutput) replaces the bubble. With
+     * provider moderation on the reply, nothing streams until it is checked.
+     * @returns {{ push(delta): string, flush(finalText): string }}
+     */
+    streamFilter(profile, guard = null) {
+      const settings = settingsFor(profile);
+      const rules = compileRules(settings.output);
+      if (!rules && !guard && !settings.provider?.output) return { push: (delta) => delta, flush: () => "" };
+
+      let raw = "";
+      let sent = "";
+      let halted = Boolean(settings.provider?.output);
+
+      return {
+        push(delta) {
+          raw += delta;
+          if (halted) return "";
+          if (findBlocked(raw, rules) || detectLeak(raw, guard)) {
+            halted = true;
+            return "";
+          }
+
+          let cut = raw.length - STREAM_HOLDBACK_CHARS;
+          while (cut > 0 && !/\s/.test(raw[cut])) cut--;
+          if (cut <= 0) return "";
+
+          let safe = rules?.redact.length ? redactPII(raw.slice(0, cut), rules.redact, rules.allow).text : raw.slice(0, cut);
+          if (rules?.maxChars) safe = safe.slice(0, rules.maxChars);
+          if (!safe.startsWith(sent)) {
+            halted = true;
+            return "";
+          }
+
+          const out = safe.slice(sent.length);
+          sent = safe;
+          return out;
+        },
+
+        // The rest of the checked final text, if it still continues what was sent
+        flush(finalText) {
+          if (!finalText.startsWith(sent)) return "";
+          const out = finalText.slice(sent.length);
+          sent = finalText;
+          return out;
+        },
+      };
+    },
+
+    /**
+     * Apply streamFilter and checkOutput to a chat turn's events: deltas
+     * are held back until they pass, and "done" carries the checked text
+     * plus a `moderation` report ({ blocked, reason?, redacted, truncated }).
+     * @param {object} context { sessionId, guard } guard = { canary, prompt } of the turn
+     */
+    async *moderateTurn(events, profile, context = {}) {
+      const filter = moderation.streamFilter(profile, context.guard);
+
+      for await (const event of events) {
+        if (event.type === "delta") {
+          const delta = filter.push(event.delta);
+          if (delta) yield { type: "delta", delta };
+        } else if (event.type === "done") {
+          const checked = await moderation.checkOutput(event.text, profile, context);
+          const rest = filter.flush(checked.text);
+          if (rest) yield { type: "delta", delta: rest };
+          yield { ...event, text: checked.text, moderation: checked.report };
+        } else {
+          yield event;
+        }
+      }
+    },
+  };
+
+  return moderation;
+}
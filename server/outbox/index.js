@@ -0,0 +1,258 @@
+/* ================================
+   Email Outbox
+   - Routes enqueue messages and return; a worker delivers them through
+     the mailer, one at a time, retrying with exponential backoff
+   - Each message is its own entry, so a failed confirmation never
+     re-sends the owner notification
+   - An idempotency key per submission: the same key within keyTtlMs
+     returns the already-queued entries instead of queueing again
+   - After maxAttempts a message is "failed"; the owner can re-send it
+     from the admin API
+   - Stored as one JSON file (server/data/outbox.json); entries left
+     "sending" by a crash go back to "pending" on start
+================================ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+function outboxError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Delay before attempt `attempts + 1` (±20% jitter so retries spread out).
+ */
+export function backoffDelay(attempts, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Admin list view: everything but the message bodies
+function summary(entry) {
+  const { message, ...rest } = entry;
+  return { ...rest, to: message.to, subject: message.subject };
+}
+
+/**
+ * @param {object} options
+ *   - file        : JSON file holding every entry
+ *   - send(msg)   : delivers one message (mailer.send)
+ *   - maxAttempts : then the entry is "failed"
+ *   - baseDelayMs, maxDelayMs : backoff between attempts
+ *   - pollMs      : how often the worker looks for due entries
+ *   - keyTtlMs    : how long an idempotency key blocks duplicates
+ *   - retainMs    : sent entries older than this are dropped
+ */
+export function createOutbox({
+  file,
+  send,
+  maxAttempts = 6,
+  baseDelayMs = 30_000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollMs = 15_000,
+  keyTtlMs = 24 * 60 * 60 * 1000,
+  retainMs = 30 * 24 * 60 * 60 * 1000,
+}) {
+  // One read-modify-write of the file at a time
+  let chain = Promise.resolve();
+  const serialize = (fn) => {
+    const run = chain.then(fn);
+    chain = run.catch(() => {});
+    return run;
+  };
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async function writeAll(entries) {
+    const cutoff = Date.now() - retainMs;
+    const kept = entries.filter((e) => e.status !== "sent" || Date.parse(e.sentAt) > cutoff);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(kept, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  const update = (id, change) =>
+    serialize(async () => {
+      const all = await readAll();
+      const entry = all.find((e) => e.id === id);
+      if (!entry) return null;
+      change(entry);
+      await writeAll(all);
+      return entry;
+    });
+
+  let timer = null;
+  let running = null;
+  let again = false;
+
+  async function deliver(entry) {
+    try {
+      const result = await send(entry.message);
+      await update(entry.id, (e) => {
+        e.status = "sent";
+        e.attempts += 1;
+        e.sentAt = new Date().toISOString();
+        e.transport = result?.transport || null;
+        e.providerId = result?.id || null;
+        delete e.lastError;
+        delete e.nextAttemptAt;
+      });
+    } catch (error) {
+      const reason = error?.message || String(error);
+      await update(entry.id, (e) => {
+        e.attempts += 1;
+        e.lastError = reason;
+        e.lastAttemptAt = new Date().toISOString();
+        if (e.attempts >= maxAttempts) {
+          e.status = "failed";
+          delete e.nextAttemptAt;
+        } else {
+          e.status = "pending";
+          e.nextAttemptAt = new Date(Date.now() + backoffDelay(e.attempts, { baseDelayMs, maxDelayMs })).toISOString();
+        }
+      });
+      console.error(`Outbox: "${entry.message.subject}" to ${entry.message.to} failed (attempt ${entry.attempts + 1}): ${reason}`);
+    }
+  }
+
+  // Deliver everything that is due, oldest first
+  async function drain() {
+    for (;;) {
+      const entry = await serialize(async () => {
+        const all = await readAll();
+        const now = Date.now();
+        const due = all.find((e) => e.status === "pending" && (!e.nextAttemptAt || Date.parse(e.nextAttemptAt) <= now));
+        if (!due) return null;
+        due.status = "sending";
+        await writeAll(all);
+        return { ...due };
+      });
+      if (!entry) return;
+      await deliver(entry);
+    }
+  }
+
+  // Deliver due entries now; a kick during a run triggers one more pass
+  function kick() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = drain()
+      .catch((error) => console.error("Outbox worker failed:", error?.message || error))
+      .finally(() => {
+        running = null;
+        if (again) {
+          again = false;
+          kick();
+        }
+      });
+    return running;
+  }
+
+  return {
+    kick,
+
+    /**
+     * Recover interrupted sends and start polling.
+     */
+    async start() {
+      await serialize(async () => {
+        const all = await readAll();
+        const stuck = all.filter((e) => e.status === "sending");
+        if (!stuck.length) return;
+        for (const e of stuck) e.status = "pending";
+        await writeAll(all);
+      });
+      timer = setInterval(() => kick(), pollMs);
+      timer.unref?.();
+      kick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Queue messages under one idempotency key.
+     * @param {Array<object>} messages mailer messages ({ from, to, replyTo, subject, text, html })
+     * @param {object} options { key, label } label = what they belong to (e.g. "contact")
+     * @returns {Promise<{ duplicate: boolean, ids: string[] }>}
+     */
+    async enqueue(messages, { key, label = null }) {
+      const result = await serialize(async () => {
+        const all = await readAll();
+        const since = Date.now() - keyTtlMs;
+        const existing = all.filter((e) => e.key === key && Date.parse(e.createdAt) > since);
+        if (existing.length) return { duplicate: true, ids: existing.map((e) => e.id) };
+
+        const createdAt = new Date().toISOString();
+        const entries = messages.map((message) => ({
+          id: crypto.randomUUID(),
+          key,
+          label,
+          status: "pending",
+          attempts: 0,
+          createdAt,
+          message,
+        }));
+        all.push(...entries);
+        await writeAll(all);
+        return { duplicate: false, ids: entries.map((e) => e.id) };
+      });
+
+      if (!result.duplicate) kick();
+      return result;
+    },
+
+    /**
+     * Newest first, without message bodies.
+     * @param {object} options { status?, limit?, offset? }
+     */
+    async list({ status, limit = 50, offset = 0 } = {}) {
+      const all = (await readAll()).filter((e) => !status || e.status === status).reverse();
+      return { total: all.length, entries: all.slice(offset, offset + limit).map(summary) };
+    },
+
+    async get(id) {
+      return (await readAll()).find((e) => e.id === id) || null;
+    },
+
+    /**
+     * Put a failed (or waiting) message back in line right away.
+     */
+    async retry(id) {
+      const entry = await serialize(async () => {
+        const all = await readAll();
+        const e = all.find((x) => x.id === id);
+        if (!e) throw outboxError("Outbox message not found", "not_found", 404);
+        if (e.status === "sent" || e.status === "sending") {
+          throw outboxError(`Message is already ${e.status}`, "not_retryable", 409);
+        }
+        e.status = "pending";
+        e.attempts = 0;
+        e.retriedAt = new Date().toISOString();
+        delete e.nextAttemptAt;
+        await writeAll(all);
+        return e;
+      });
+      kick();
+      return summary(entry);
+    },
+  };
+}
@@ -0,0 +1,205 @@
+/* ================================
+   Profiles
+   - Shape handling for profiles.json, shared by the server and the CLIs
+   - parseProfiles validates against PROFILE_SCHEMA and resolves "extends":
+     a profile inherits every field of its parent except access, aliases,
+     visibility and memoriesFile; objects (e.g. "context") merge one level
+     deep. A child of a private profile must set its own visibility
+================================ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { PROFILE_SCHEMA, PROFILE_ID_RE, validateValue, locateIssues, parseErrorIssue } from "./schema.js";
+
+export { PROFILE_SCHEMA, PROFILE_ID_RE } from "./schema.js";
+
+// Per-profile secrets/identity never flow to children
+const NOT_INHERITED = new Set(["access", "aliases", "visibility", "memoriesFile"]);
+
+export function normalizeProfileId(id) {
+  return String(id || "").trim().toLowerCase();
+}
+
+export function normalizeProfiles(raw) {
+  // Supported shapes:
+  // 1) { "default": "sankalp", "profiles": { "sankalp": {...}, "anaita": {...} } }
+  // 2) { "default": "sankalp", "sankalp": {...}, "anaita": {...} }  (deprecated)
+  if (!raw || typeof raw !== "object") return { default: "default", profiles: {} };
+
+  if (raw.profiles && typeof raw.profiles === "object") {
+    const def = typeof raw.default === "string" ? raw.default : "default";
+    return { default: def, profiles: raw.profiles };
+  }
+
+  const copy = { ...raw };
+  const def = typeof copy.default === "string" ? copy.default : "default";
+  delete copy.default;
+
+  return { default: def, profiles: copy };
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function inherit(parent, child) {
+  const merged = {};
+  for (const [key, value] of Object.entries(parent)) {
+    if (!NOT_INHERITED.has(key)) merged[key] = value;
+  }
+  for (const [key, value] of Object.entries(child)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? { ...merged[key], ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Structural checks on a parsed document (no line numbers).
+ * @returns {{ doc: { default, profiles }, issues: Array<{ level, path, message }> }}
+ */
+export function validateProfiles(raw) {
+  const issues = [];
+
+  if (!isPlainObject(raw)) {
+    issues.push({ level: "error", path: [], message: "profiles.json must be an object" });
+    return { doc: { default: "default", profiles: {} }, issues };
+  }
+
+  const canonical = "profiles" in raw;
+  const base = canonical ? ["profiles"] : [];
+
+  if (canonical) {
+    if (!isPlainObject(raw.profiles)) {
+      issues.push({ level: "error", path: ["profiles"], message: "profiles must be an object of { id: profile }" });
+      return { doc: { default: "default", profiles: {} }, issues };
+    }
+    for (const key of Object.keys(raw)) {
+      if (key !== "default" && key !== "profiles") {
+        issues.push({ level: "warning", path: [key], message: `${key} is not a known field (ignored)` });
+      }
+    }
+  } else if (Object.keys(raw).some((k) => k !== "default")) {
+    issues.push({ level: "warning", path: [], message: 'Profiles at the top level are deprecated; move them under "profiles"' });
+  }
+
+  if (raw.default !== undefined && typeof raw.default !== "string") {
+    issues.push({ level: "error", path: ["default"], message: "default must be a profile id" });
+  }
+
+  const doc = normalizeProfiles(raw);
+
+  for (const [id, profile] of Object.entries(doc.profiles)) {
+    if (!PROFILE_ID_RE.test(id)) {
+      issues.push({ level: "error", path: [...base, id], message: `"${id}" is not a valid profile id (lowercase letters, digits, - and _)` });
+    }
+    validateValue(PROFILE_SCHEMA, profile, [...base, id], issues);
+  }
+
+  const ids = Object.keys(doc.profiles);
+  if (ids.length && typeof raw.default === "string" && !doc.profiles[raw.default]) {
+    issues.push({ level: "error", path: ["default"], message: `default "${raw.default}" is not one of: ${ids.join(", ")}` });
+  }
+
+  for (const [id, profile] of Object.entries(doc.profiles)) {
+    const parent = isPlainObject(profile) ? profile.extends : undefined;
+    if (typeof parent !== "string") continue;
+
+    const at = [...base, id, "extends"];
+    if (!doc.profiles[parent]) {
+      issues.push({ level: "error", path: at, message: `${id} extends "${parent}", which does not exist` });
+      continue;
+    }
+
+    const chain = [id];
+    for (let next = parent; typeof next === "string" && doc.profiles[next]; next = doc.profiles[next].extends) {
+      if (chain.includes(next)) {
+        issues.push({ level: "error", path: at, message: `extends cycle: ${[...chain, next].join(" -> ")}` });
+        break;
+      }
+      chain.push(next);
+    }
+
+    // It inherits the parent's knowledge, so it must not quietly become public
+    if (String(doc.profiles[parent]?.visibility || "").toLowerCase() === "private" && profile.visibility === undefined) {
+      issues.push({
+        level: "error",
+        path: [...base, id],
+        message: `${id} extends private profile "${parent}"; set its "visibility" ("private" or "public")`,
+      });
+    }
+  }
+
+  return { doc, issues };
+}
+
+/**
+ * Profiles with "extends" applied. Assumes validateProfiles found no errors.
+ */
+export function resolveProfiles(doc) {
+  const resolved = {};
+
+  const resolve = (id) => {
+    if (resolved[id]) return resolved[id];
+    const profile = doc.profiles[id];
+    resolved[id] = profile.extends ? inherit(resolve(profile.extends), profile) : { ...profile };
+    return resolved[id];
+  };
+
+  for (const id of Object.keys(doc.profiles)) resolve(id);
+  return { default: doc.default, profiles: resolved };
+}
+
+/**
+ * Parse + validate profiles.json text.
+ * @returns {{ doc, profiles, issues }}
+ *   doc      : { default, profiles } as written (what the admin API edits)
+ *   profiles : same shape with "extends" resolved (what the server uses); null on errors
+ *   issues   : [{ level: "error"|"warning", path, message, line, column }]
+ */
+export function parseProfiles(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { doc: null, profiles: null, issues: [parseErrorIssue(text, error)] };
+  }
+
+  const { doc, issues } = validateProfiles(raw);
+  const located = locateIssues(text, issues).sort((a, b) => a.line - b.line || a.column - b.column);
+  const ok = !located.some((i) => i.level === "error");
+
+  return { doc, profiles: ok ? resolveProfiles(doc) : null, issues: located };
+}
+
+/**
+ * "profiles.json:12:5 error: profiles.rohan.tone must be string (got integer)"
+ */
+export function formatProfileIssues(issues, file = "profiles.json") {
+  return issues.map((i) => `${file}:${i.line}:${i.column} ${i.level}: ${i.message}`).join("\n");
+}
+
+export function invalidProfilesError(issues, file = "profiles.json") {
+  const errors = issues.filter((i) => i.level === "error");
+  const error = new Error(`${file} has ${errors.length} error(s):\n${formatProfileIssues(errors, file)}`);
+  error.code = "invalid_profiles";
+  error.issues = issues;
+  return error;
+}
+
+/**
+ * Read and resolve a profiles file. A missing file means no profiles;
+ * an invalid one throws (code "invalid_profiles", with .issues).
+ * @returns {Promise<{ default, profiles, warnings }>}
+ */
+export async function loadProfilesFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return { default: "default", profiles: {}, warnings: [] };
+    throw error;
+  }
+
+  const { profiles, issues } = parseProfiles(text);
+  if (!profiles) throw invalidProfilesError(issues, path.basename(file));
+  return { ...profiles, warnings: issues };
+}
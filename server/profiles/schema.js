@@ -0,0 +1,260 @@
+/* ================================
+   Profiles Schema
+   - The shape of profiles.json, as a small JSON-schema subset
+     (type, enum, pattern, format: "regex", minimum, maximum, items, properties)
+   - Errors carry the JSON path plus the line/column it sits on
+   - Unknown fields are warnings (typos), everything else is an error
+================================ */
+
+import { PROVIDER_NAMES } from "../llm/index.js";
+import { DEFAULT_BUDGET } from "../llm/context.js";
+import { TOOL_DEFINITIONS } from "../tools/index.js";
+
+export const PROFILE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+const STRING_LIST = { type: "array", items: { type: "string", minLength: 1 } };
+const TEXT_OR_LIST = { type: ["string", "array"], items: { type: "string" } };
+const REGEX_LIST = { type: "array", items: { type: "string", minLength: 1, format: "regex" } };
+
+const MODERATION_RULES = {
+  maxChars: { type: "integer", minimum: 1 },
+  block: REGEX_LIST,
+  blockWords: STRING_LIST,
+};
+
+export const PROFILE_SCHEMA = {
+  type: "object",
+  properties: {
+    extends: { type: "string", pattern: PROFILE_ID_RE, description: "Profile id to inherit fields from" },
+    name: { type: "string", minLength: 1 },
+    tone: { type: "string" },
+    visibility: { enum: ["public", "private"] },
+    access: {
+      type: "object",
+      properties: {
+        passcodeEnv: { type: "string", pattern: /^[A-Z_][A-Z0-9_]*$/, description: "Env var holding the passcode" },
+      },
+    },
+    aliases: STRING_LIST,
+    knowledgeFiles: { type: "array", items: { type: "string", pattern: /\.md$/ } },
+    memoriesFile: { type: "string", pattern: /\.md$/, description: "Where approved memories are appended" },
+    systemPrompt: { type: "string", minLength: 1 },
+    rules: TEXT_OR_LIST,
+    notes: TEXT_OR_LIST,
+    tools: { type: "array", items: { enum: TOOL_DEFINITIONS.map((t) => t.name) } },
+    widget: {
+      type: "object",
+      description: "How the chat widget presents this profile",
+      properties: {
+        title: { type: "string", minLength: 1 },
+        avatar: { type: "string", pattern: /^\S{1,3}$/u, description: "1-3 characters" },
+        greeting: { type: "string", minLength: 1 },
+        quickActions: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              label: { type: "string", minLength: 1 },
+              message: { type: "string", minLength: 1 },
+            },
+          },
+        },
+      },
+    },
+    provider: { enum: PROVIDER_NAMES },
+    generation: {
+      type: "object",
+      properties: {
+        model: { type: "string", minLength: 1, description: "Model name for the profile's provider" },
+        temperature: { type: "number", minimum: 0, maximum: 2 },
+        maxTokens: { type: "integer", minimum: 1 },
+        topP: { type: "number", minimum: 0, maximum: 1 },
+        stop: { type: ["string", "array"], items: { type: "string", minLength: 1 } },
+      },
+    },
+    context: {
+      type: "object",
+      properties: Object.fromEntries(Object.keys(DEFAULT_BUDGET).map((k) => [k, { type: "integer", minimum: 0 }])),
+    },
+    moderation: {
+      type: "object",
+      description: "Safety filters on the visitor's messages and the assistant's replies",
+      properties: {
+        refusal: { type: "string", minLength: 1 },
+        input: {
+          type: "object",
+          properties: {
+            ...MODERATION_RULES,
+            injection: { enum: ["flag", "block", "off"], description: "What to do with prompt-injection attempts" },
+          },
+        },
+        output: {
+          type: "object",
+          properties: {
+            ...MODERATION_RULES,
+            redact: { type: "array", items: { enum: ["email", "phone"] } },
+            allow: { ...STRING_LIST, description: "Emails/phone numbers that are never redacted" },
+          },
+        },
+        provider: {
+          type: "object",
+          description: "Also ask the OpenAI moderation endpoint",
+          properties: { input: { type: "boolean" }, output: { type: "boolean" } },
+        },
+      },
+    },
+  },
+};
+
+/* ---------- validation ---------- */
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === "number" && actual === "integer");
+}
+
+/**
+ * Check `value` against `schema`, pushing { level, path, message } into `issues`.
+ */
+export function validateValue(schema, value, path, issues) {
+  const at = path.join(".");
+  const actual = typeOf(value);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ level: "error", path, message: `${at} must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(t, actual))) {
+      issues.push({ level: "error", path, message: `${at} must be ${types.join(" or ")} (got ${actual})` });
+      return;
+    }
+  }
+
+  if (actual === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      issues.push({ level: "error", path, message: `${at} must not be empty` });
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      issues.push({ level: "error", path, message: `${at} does not match ${schema.pattern}` });
+    } else if (schema.format === "regex") {
+      try {
+        new RegExp(value, "iu");
+      } catch (error) {
+        issues.push({ level: "error", path, message: `${at} is not a valid regular expression (${error.message})` });
+      }
+    }
+  }
+
+  if (actual === "integer" || actual === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ level: "error", path, message: `${at} must be at least ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({ level: "error", path, message: `${at} must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => validateValue(schema.items, item, [...path, i], issues));
+  }
+
+  if (actual === "object" && schema.properties) {
+    for (const [key, item] of Object.entries(value)) {
+      const rule = schema.properties[key];
+      if (rule) validateValue(rule, item, [...path, key], issues);
+      else issues.push({ level: "warning", path: [...path, key], message: `${[...path, key].join(".")} is not a known field (ignored)` });
+    }
+  }
+}
+
+/* ---------- locating paths in the source ---------- */
+
+/**
+ * Offsets of every value in already-valid JSON text, keyed by JSON path.
+ * Object members point at their key, so messages land on the right line.
+ */
+function locatePaths(text) {
+  const offsets = new Map();
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const readString = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== '"') i += text[i] === "\\" ? 2 : 1;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+
+  const readValue = (path) => {
+    skipSpace();
+    if (!offsets.has(JSON.stringify(path))) offsets.set(JSON.stringify(path), i);
+
+    if (text[i] === "{" || text[i] === "[") {
+      const isObject = text[i] === "{";
+      const close = isObject ? "}" : "]";
+      i++;
+      skipSpace();
+      for (let index = 0; text[i] !== close; index++) {
+        if (isObject) {
+          const keyAt = i;
+          const key = readString();
+          offsets.set(JSON.stringify([...path, key]), keyAt);
+          skipSpace();
+          i++; // :
+          readValue([...path, key]);
+        } else {
+          readValue([...path, index]);
+        }
+        skipSpace();
+        if (text[i] === ",") i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    }
+  };
+
+  readValue([]);
+  return offsets;
+}
+
+function lineColumn(text, offset) {
+  const before = text.slice(0, Math.max(0, offset));
+  const lines = before.split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Add line/column to issues, using the closest located ancestor of each path.
+ */
+export function locateIssues(text, issues) {
+  const offsets = locatePaths(text);
+  return issues.map((issue) => {
+    for (let n = issue.path.length; n >= 0; n--) {
+      const offset = offsets.get(JSON.stringify(issue.path.slice(0, n)));
+      if (offset !== undefined) return { ...issue, ...lineColumn(text, offset) };
+    }
+    return { ...issue, line: 1, column: 1 };
+  });
+}
+
+/**
+ * Turn a JSON.parse error into an issue with a line/column.
+ */
+export function parseErrorIssue(text, error) {
+  const match = /position (\d+)/.exec(error.message);
+  const offset = match ? Number(match[1]) : text.length;
+  return { level: "error", path: [], message: `Invalid JSON: ${error.message.replace(/ in JSON at position.*$/, "")}`, ...lineColumn(text, offset) };
+}
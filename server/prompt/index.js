@@ -0,0 +1,126 @@
+/* ================================
+   Assistant Instructions
+   - The system prompt for one chat turn: profile, voice, rules,
+     security rules with a fresh canary, and the retrieved knowledge
+   - Shared by the chat route and `npm run check:injection`, so the
+     injection corpus runs against the real prompt
+================================ */
+
+import { fitToBudget } from "../llm/context.js";
+import { knowledgeBlock, profileBlock, securityRules, createCanary } from "../moderation/injection.js";
+
+// Default system prompt (professional); a profile's systemPrompt replaces it
+export const SYSTEM_PROMPT = `You are the AI assistant for Sankalp Singh, a Full Stack Developer based in Dallas, Texas.
+
+Your role is to:
+1. Answer questions about Sankalp's experience, skills, and services professionally
+2. Provide information about availability and rates
+3. Help schedule meetings with potential clients
+4. Maintain a highly professional, helpful, and knowledgeable tone
+
+IMPORTANT GUIDELINES:
+- Always be professional, courteous, and helpful
+- Provide accurate information about Sankalp's skills and experience
+- When asked about rates, provide the info but suggest a consultation for detailed quotes
+- For meeting requests, guide the user to provide: name, email, one of the open time slots, and brief project description
+- Never make up information - if you don't know something, say you'll have Sankalp follow up
+- Keep responses concise but informative (2-4 paragraphs max)
+- Use proper business communication style
+- Do NOT use markdown headers (##). Use plain text with line breaks.
+
+If user asks something personal/biographical and it is not in the knowledge base, do NOT guess.`;
+
+/**
+ * @param {object} options
+ *   - retrieve(message, profile)  : async, ranked knowledge chunks
+ *   - knowledgeBudget(profile)    : max tokens of knowledge excerpts
+ *   - defaults()                  : { name, tone, systemPrompt } for profiles that don't set them
+ * @returns {function} buildAssistantInstructions(userMessage, profile)
+ */
+export function createInstructionBuilder({ retrieve, knowledgeBudget, defaults }) {
+  /**
+   * Builds the system instructions for one turn.
+   * @returns {Promise<{ instructions: string, sources: Array, knowledgeTokens: number, guard: object }>}
+   *   sources = excerpts given to the model
+   *   guard   = { canary, prompt } for the output leak check
+   */
+  return async function buildAssistantInstructions(userMessage, active) {
+    const fallback = defaults();
+    const name = active.name || fallback.name;
+    const tone = active.tone || fallback.tone;
+    const systemPrompt = active.systemPrompt || fallback.systemPrompt;
+
+    // Best matches first; stop adding excerpts once the knowledge budget is spent
+    const { kept: top, tokens: knowledgeTokens } = fitToBudget(
+      await retrieve(userMessage, active),
+      knowledgeBudget(active),
+      (c) => c.text
+    );
+
+    // Random marker; a reply containing it means the instructions leaked
+    const guard = { canary: createCanary(), prompt: systemPrompt };
+    const security = securityRules(guard.canary);
+
+    if (!top.length) {
+      const instructions = `
+${systemPrompt}
+
+ACTIVE PROFILE:
+${profileBlock(active)}
+
+VOICE:
+- ${tone}
+- Be specific. Avoid generic filler.
+- Ask ONE follow-up question if the user’s question is missing detail.
+- Max 6–10 sentences unless user asks for more.
+
+RULES:
+- Use the PROFILE + KNOWLEDGE as the only source of truth.
+- If missing, say: "I don’t want to guess—if you share a bit more detail, I’ll answer accurately."
+- Do NOT invent personal facts or memories.
+- No markdown headers like "##". Plain text with line breaks.
+
+${security}
+`.trim();
+
+      return { instructions, sources: [], knowledgeTokens: 0, guard };
+    }
+
+    const instructions = `
+${systemPrompt}
+
+You are speaking as the assistant for: ${name}
+
+ACTIVE PROFILE:
+${profileBlock(active)}
+
+VOICE:
+- ${tone}
+- Be specific. Avoid generic filler.
+- Max 6–10 sentences unless user asks for more.
+- Ask ONE follow-up question if needed.
+
+RULES:
+- Use the KNOWLEDGE excerpts as source of truth.
+- When a statement comes from an excerpt, cite its number in square brackets, e.g. [1] or [1][3].
+- Only cite numbers listed below. Never cite for greetings or general chit-chat.
+- Do not invent details or memories.
+- No markdown headers like "##". Plain text with line breaks.
+
+${security}
+
+KNOWLEDGE (most relevant excerpts, numbered by ref):
+${knowledgeBlock(top)}
+`.trim();
+
+    const sources = top.map((c, i) => ({
+      ref: i + 1,
+      id: c.id,
+      source: c.source,
+      heading: c.heading || null,
+      score: Math.round(c.score * 1000) / 1000,
+    }));
+
+    return { instructions, sources, knowledgeTokens, guard };
+  };
+}
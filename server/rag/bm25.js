@@ -0,0 +1,143 @@
+/* ================================
+   BM25 Keyword Index
+   - Tokenize + stop-words + light stemming
+   - Inverted index built once per knowledge load
+   - Okapi BM25 scoring with a tunable source-file boost
+================================ */
+
+import { chunkSearchText } from "./chunker.js";
+
+export const STOP_WORDS = new Set(
+  `a about above after again against all am an and any are as at be because been before being
+  below between both but by can could did do does doing down during each few for from further
+  had has have having he her here hers herself him himself his how i if in into is it its itself
+  just me more most my myself no nor not now of off on once only or other our ours ourselves out
+  over own same she should so some such than that the their theirs them themselves then there
+  these they this those through to too under until up very was we were what when where which
+  while who whom why will with would you your yours yourself yourselves also get got tell know
+  want like please let us im ive dont does doesnt cant wont whats hes shes thats`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+const DEFAULTS = {
+  k1: 1.2, // term-frequency saturation
+  b: 0.75, // length normalization (0 = off, 1 = full)
+};
+
+/**
+ * Conservative suffix stripper.
+ * Deliberately lighter than Porter so "react" and "reaction" stay distinct,
+ * while plurals / -ing / -ed / -ly variants collapse together.
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /^\d+$/.test(w)) return w;
+
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (/(sses|xes|zes|ches|shes)$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ["ing", "ed"]) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length);
+      // "shipping" -> "shipp" -> "ship"
+      if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+
+  if (w.endsWith("ly") && w.length > 5) w = w.slice(0, -2);
+
+  // "price" / "pricing" / "priced" -> "pric"
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+
+  return w;
+}
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length >= 2 && !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * Build an inverted index over chunks ({ id, source, heading, text }).
+ * Heading context is indexed along with the body.
+ */
+export function buildIndex(chunks, options = {}) {
+  const docs = [];
+  const postings = new Map(); // term -> [{ doc, tf }]
+  let totalLength = 0;
+
+  chunks.forEach((chunk, doc) => {
+    const terms = tokenize(chunkSearchText(chunk));
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+
+    for (const [term, count] of tf) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ doc, tf: count });
+    }
+
+    docs.push({ chunk, length: terms.length, sourceTerms: tokenize(sourceHint(chunk.source)) });
+    totalLength += terms.length;
+  });
+
+  return {
+    docs,
+    postings,
+    avgLength: docs.length ? totalLength / docs.length : 0,
+    k1: options.k1 ?? DEFAULTS.k1,
+    b: options.b ?? DEFAULTS.b,
+  };
+}
+
+function sourceHint(source) {
+  return String(source || "").replace(/\.md$/i, "");
+}
+
+function idf(index, term) {
+  const df = index.postings.get(term)?.length || 0;
+  const n = index.docs.length;
+  return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Raw BM25 scores for a query.
+ * @returns {Map<number, number>} doc position in index.docs -> score
+ */
+export function scoreIndex(index, query, { sourceBoost = 2 } = {}) {
+  const scores = new Map();
+  if (!index || !index.docs.length) return scores;
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const querySet = new Set(queryTerms);
+
+  for (const term of queryTerms) {
+    const list = index.postings.get(term);
+    if (!list) continue;
+
+    const weight = idf(index, term);
+    for (const { doc, tf } of list) {
+      const len = index.docs[doc].length;
+      const norm = 1 - index.b + index.b * (len / (index.avgLength || 1));
+      const s = (weight * tf * (index.k1 + 1)) / (tf + index.k1 * norm);
+      scores.set(doc, (scores.get(doc) || 0) + s);
+    }
+  }
+
+  // Bonus if user mentions the file concept (e.g. "pricing", "projects")
+  if (sourceBoost) {
+    index.docs.forEach((d, doc) => {
+      if (d.sourceTerms.length && d.sourceTerms.every((t) => querySet.has(t))) {
+        scores.set(doc, (scores.get(doc) || 0) + sourceBoost);
+      }
+    });
+  }
+
+  return scores;
+}
@@ -0,0 +1,251 @@
+/* ================================
+   Markdown Chunker
+   - Front-matter aware (--- key: value ---)
+   - Tracks the heading path ("Radio Sangam > CRM Dashboard")
+   - Keeps lists and fenced code blocks together
+   - Never mixes sections in one chunk; optional overlap within a section
+   - Stable chunk ids: "<file>#<section-slug>-<n>"
+================================ */
+
+const FENCE_RE = /^\s*(```|~~~)/;
+const HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const LIST_RE = /^\s*([*+-]|\d+[.)])\s+/;
+const RULE_RE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+// Plain-text docs use ALL CAPS label lines as headings ("CORE SUMMARY")
+const CAPS_LABEL_RE = /^[A-Z][A-Z0-9 &/+()'-]{2,60}$/;
+
+export const HEADING_SEPARATOR = " > ";
+
+function cleanHeading(text) {
+  return text
+    .replace(/\*\*|__|`/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function slugify(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "root"
+  );
+}
+
+/**
+ * Split "---\nkey: value\n---" off the top of a document.
+ * @returns {{ frontMatter: object, body: string }}
+ */
+export function parseFrontMatter(text) {
+  const m = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)/.exec(text);
+  if (!m) return { frontMatter: {}, body: text };
+
+  const frontMatter = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+    if (!kv) return { frontMatter: {}, body: text }; // not front-matter after all
+    frontMatter[kv[1]] = kv[2].replace(/^["']|["']$/g, "").trim();
+  }
+
+  return { frontMatter, body: text.slice(m[0].length) };
+}
+
+/**
+ * Turn markdown into blocks: { kind: "text" | "list" | "code", text, path }
+ */
+function parseBlocks(body, rootPath) {
+  const blocks = [];
+  const stack = []; // [{ level, title }]
+  let buf = [];
+  let kind = null;
+  let fence = null;
+
+  const currentPath = () => [...rootPath, ...stack.map((h) => h.title)];
+
+  const flush = () => {
+    const text = buf.join("\n").trim();
+    if (text) blocks.push({ kind: kind || "text", text, path: currentPath() });
+    buf = [];
+    kind = null;
+  };
+
+  const setHeading = (level, title) => {
+    flush();
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, title });
+  };
+
+  const lines = body.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (fence) {
+      buf.push(line);
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+        flush();
+      }
+      continue;
+    }
+
+    const fenceMatch = FENCE_RE.exec(line);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      kind = "code";
+      buf.push(line);
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      setHeading(heading[1].length, cleanHeading(heading[2]));
+      continue;
+    }
+
+    const prevBlank = i === 0 || !lines[i - 1].trim();
+    const nextBlank = i === lines.length - 1 || !lines[i + 1].trim();
+    if (prevBlank && CAPS_LABEL_RE.test(line.trim()) && /[A-Z]{3}/.test(line) && !nextBlank) {
+      // Label lines sit under any real markdown heading
+      setHeading(7, cleanHeading(line));
+      continue;
+    }
+
+    if (RULE_RE.test(line)) {
+      flush();
+      continue;
+    }
+
+    if (!line.trim()) {
+      // Blank lines inside a list don't end it if the next item continues it
+      const next = lines.slice(i + 1).find((l) => l.trim());
+      if (kind === "list" && next && LIST_RE.test(next)) continue;
+      flush();
+      continue;
+    }
+
+    const isList = LIST_RE.test(line);
+    if (isList && kind && kind !== "list") flush();
+    if (!isList && kind === "list" && !/^\s+/.test(line)) flush();
+
+    if (!kind) kind = isList ? "list" : "text";
+    buf.push(line);
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Break one oversized block into pieces that fit maxLen,
+ * preferring line boundaries, then sentence/word boundaries.
+ */
+function splitBlock(text, maxLen) {
+  if (text.length <= maxLen) return [text];
+
+  const units = text.includes("\n") ? text.split("\n") : text.split(/(?<=[.!?])\s+/);
+  const pieces = [];
+  let buf = "";
+  const sep = text.includes("\n") ? "\n" : " ";
+
+  for (let unit of units) {
+    while (unit.length > maxLen) {
+      const cut = unit.lastIndexOf(" ", maxLen) > maxLen / 2 ? unit.lastIndexOf(" ", maxLen) : maxLen;
+      if (buf) {
+        pieces.push(buf);
+        buf = "";
+      }
+      pieces.push(unit.slice(0, cut).trim());
+      unit = unit.slice(cut).trim();
+    }
+
+    if (buf && (buf + sep + unit).length > maxLen) {
+      pieces.push(buf);
+      buf = unit;
+    } else {
+      buf = buf ? buf + sep + unit : unit;
+    }
+  }
+  if (buf) pieces.push(buf);
+  return pieces.filter((p) => p.trim());
+}
+
+function overlapTail(text, overlap) {
+  if (!overlap || text.length <= overlap) return overlap ? text : "";
+  const tail = text.slice(-overlap);
+  // Start at a line or word boundary so the carried text reads cleanly
+  const nl = tail.indexOf("\n");
+  if (nl !== -1 && nl < tail.length - 1) return tail.slice(nl + 1);
+  const sp = tail.indexOf(" ");
+  return sp !== -1 ? tail.slice(sp + 1) : tail;
+}
+
+/**
+ * Chunk a markdown document.
+ * @param {string} text
+ * @param {object} options - { source, maxLen, overlap }
+ * @returns {Array<{ id, source, heading, headingPath, text }>}
+ */
+export function chunkMarkdown(text, { source = "", maxLen = 900, overlap = 0 } = {}) {
+  const { frontMatter, body } = parseFrontMatter(String(text || ""));
+  const rootPath = frontMatter.title ? [cleanHeading(frontMatter.title)] : [];
+  const blocks = parseBlocks(body, rootPath);
+
+  // Group consecutive blocks that share a heading path into sections
+  const sections = [];
+  for (const block of blocks) {
+    const key = block.path.join(HEADING_SEPARATOR);
+    const last = sections[sections.length - 1];
+    if (last && last.key === key) last.blocks.push(block);
+    else sections.push({ key, path: block.path, blocks: [block] });
+  }
+
+  const chunks = [];
+  const seenIds = new Map();
+  const safeOverlap = Math.max(0, Math.min(overlap, Math.floor(maxLen / 2)));
+
+  for (const section of sections) {
+    const pieces = [];
+    let buf = "";
+
+    for (const block of section.blocks) {
+      for (const part of splitBlock(block.text, maxLen)) {
+        if (buf && (buf + "\n\n" + part).length > maxLen) {
+          pieces.push(buf);
+          // Carry the end of the previous piece so context isn't cut mid-thought
+          const tail = overlapTail(buf, safeOverlap);
+          buf = tail && (tail + "\n\n" + part).length <= maxLen ? tail : "";
+        }
+        buf = buf ? buf + "\n\n" + part : part;
+      }
+    }
+    if (buf) pieces.push(buf);
+
+    const heading = section.path.join(HEADING_SEPARATOR);
+    const baseId = `${source}#${slugify(section.path[section.path.length - 1])}`;
+
+    for (const piece of pieces) {
+      const n = (seenIds.get(baseId) || 0) + 1;
+      seenIds.set(baseId, n);
+
+      chunks.push({
+        id: `${baseId}-${n}`,
+        source,
+        heading,
+        headingPath: section.path,
+        text: piece,
+      });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Text used for indexing/embedding: heading context + body.
+ */
+export function chunkSearchText(chunk) {
+  return chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text;
+}
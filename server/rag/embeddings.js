@@ -0,0 +1,175 @@
+/* ================================
+   Embeddings + Vector Cache
+   - Pluggable providers: "openai", "local" (offline, deterministic), "none"
+   - Vectors cached on disk keyed by content hash, so unchanged
+     chunks are not re-embedded on every knowledge reload
+================================ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+import { tokenize } from "./bm25.js";
+import { chunkSearchText } from "./chunker.js";
+
+const BATCH_SIZE = 64;
+
+/* ================================
+   Providers
+   Every provider exposes: { id, embed(texts) -> Promise<number[][]> }
+   Vectors are L2-normalized so cosine similarity is a dot product.
+================================ */
+
+function normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm);
+  return norm ? vec.map((v) => v / norm) : vec;
+}
+
+function hashToken(token) {
+  // FNV-1a 32-bit: fast, stable across runs and machines
+  let h = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    h ^= token.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Feature-hashing embedder (stemmed words + character trigrams).
+ * No network, no model download — same input always gives the same vector.
+ * Catches morphology and spelling overlap, not true synonyms.
+ */
+export function createLocalEmbedder({ dimensions = 384 } = {}) {
+  function embedOne(text) {
+    const vec = new Array(dimensions).fill(0);
+
+    for (const word of tokenize(text)) {
+      const features = [`w:${word}`];
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) features.push(`c:${padded.slice(i, i + 3)}`);
+
+      for (const f of features) {
+        const h = hashToken(f);
+        const weight = f.startsWith("w:") ? 1 : 0.5;
+        vec[h % dimensions] += h & 0x80000000 ? -weight : weight;
+      }
+    }
+
+    return normalize(vec);
+  }
+
+  return {
+    id: `local-hash-${dimensions}`,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+export function createOpenAIEmbedder({ client, model = "text-embedding-3-small" }) {
+  return {
+    id: `openai-${model}`,
+    async embed(texts) {
+      const res = await client.embeddings.create({ model, input: texts });
+      return res.data
+        .sort((a, b) => a.index - b.index)
+        .map((d) => normalize(d.embedding));
+    },
+  };
+}
+
+/**
+ * @param {object} options - { provider, model, openai }
+ * @returns {object|null} embedder, or null when embeddings are disabled
+ */
+export function createEmbedder({ provider, model, openai } = {}) {
+  switch (String(provider || "").toLowerCase()) {
+    case "none":
+    case "off":
+      return null;
+    case "openai":
+      if (!openai) throw new Error("EMBEDDINGS_PROVIDER=openai requires an OpenAI client");
+      return createOpenAIEmbedder({ client: openai, model: model || undefined });
+    case "local":
+    case "":
+      return createLocalEmbedder();
+    default:
+      throw new Error(`Unknown embeddings provider: ${provider}`);
+  }
+}
+
+/* ================================
+   Disk cache: { [sha256(embedderId + text)]: vector }
+================================ */
+
+export function contentHash(embedderId, text) {
+  return crypto.createHash("sha256").update(`${embedderId}\n${text}`).digest("hex");
+}
+
+export async function loadVectorCache(filePath) {
+  let entries = {};
+  try {
+    entries = JSON.parse(await fs.readFile(filePath, "utf8")) || {};
+  } catch {
+    // missing or corrupt cache -> start fresh
+  }
+
+  return { filePath, entries, used: new Set(), dirty: false };
+}
+
+export async function saveVectorCache(cache) {
+  // Drop vectors for chunks that no longer exist
+  for (const key of Object.keys(cache.entries)) {
+    if (!cache.used.has(key)) {
+      delete cache.entries[key];
+      cache.dirty = true;
+    }
+  }
+  if (!cache.dirty) return;
+
+  await fs.mkdir(path.dirname(cache.filePath), { recursive: true });
+  const tmp = `${cache.filePath}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(cache.entries));
+  await fs.rename(tmp, cache.filePath);
+  cache.dirty = false;
+}
+
+/**
+ * Embed chunks, reusing cached vectors where the content hash matches.
+ * @returns {Promise<{ vectors: Map<object, number[]>, embedded: number }>} chunk -> vector, count of fresh embeddings
+ */
+export async function embedChunks(chunks, embedder, cache) {
+  const vectors = new Map();
+  const missing = [];
+
+  for (const chunk of chunks) {
+    const key = contentHash(embedder.id, chunkSearchText(chunk));
+    cache.used.add(key);
+
+    if (cache.entries[key]) vectors.set(chunk, cache.entries[key]);
+    else missing.push({ chunk, key });
+  }
+
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = missing.slice(i, i + BATCH_SIZE);
+    const embedded = await embedder.embed(batch.map((m) => chunkSearchText(m.chunk)));
+
+    batch.forEach((m, j) => {
+      vectors.set(m.chunk, embedded[j]);
+      cache.entries[m.key] = embedded[j];
+      cache.dirty = true;
+    });
+  }
+
+  return { vectors, embedded: missing.length };
+}
+
+export function cosine(a, b) {
+  let dot = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) dot += a[i] * b[i];
+  return dot;
+}
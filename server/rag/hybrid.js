@@ -0,0 +1,53 @@
+/* ================================
+   Hybrid Retrieval
+   - BM25 keyword scores (normalized to 0..1)
+   - Cosine similarity against chunk embeddings
+   - Weighted merge: alpha * keyword + (1 - alpha) * vector
+================================ */
+
+import { scoreIndex } from "./bm25.js";
+import { cosine } from "./embeddings.js";
+
+/**
+ * @param {object} index   - BM25 index (result of buildIndex())
+ * @param {string} query
+ * @param {object} options
+ *   - k                 : max results
+ *   - sourceBoost       : see scoreIndex()
+ *   - queryVector       : embedding of the query (omit -> keyword only)
+ *   - vectors           : Map chunk -> vector
+ *   - alpha             : keyword weight (0..1)
+ *   - minSimilarity     : vector-only matches below this are ignored
+ * @returns {Array<{ source, text, score, keywordScore, vectorScore }>}
+ */
+export function searchHybrid(
+  index,
+  query,
+  { k = 6, sourceBoost = 2, queryVector, vectors, alpha = 0.5, minSimilarity = 0.25 } = {}
+) {
+  if (!index || !index.docs.length) return [];
+
+  const keyword = scoreIndex(index, query, { sourceBoost });
+  const maxKeyword = Math.max(0, ...keyword.values());
+  const useVectors = Boolean(queryVector && vectors && vectors.size);
+  const keywordWeight = useVectors ? alpha : 1;
+
+  const results = [];
+
+  index.docs.forEach((d, doc) => {
+    const keywordScore = keyword.get(doc) || 0;
+    const vec = useVectors ? vectors.get(d.chunk) : null;
+    const vectorScore = vec ? Math.max(0, cosine(queryVector, vec)) : 0;
+
+    if (keywordScore <= 0 && vectorScore < minSimilarity) return;
+
+    const score =
+      keywordWeight * (maxKeyword ? keywordScore / maxKeyword : 0) +
+      (1 - keywordWeight) * vectorScore;
+
+    results.push({ ...d.chunk, score, keywordScore, vectorScore });
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, k);
+}
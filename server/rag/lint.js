@@ -0,0 +1,209 @@
+/* ================================
+   Knowledge Linter
+   - Used by `npm run lint:knowledge` and the startup check
+   - Reads server/knowledge/ + profiles.json from disk and reports:
+     profiles.json schema errors, unreadable entries, missing/unused
+     knowledge files, empty or oversized chunks, duplicate paragraphs,
+     shared aliases, prompt-injection patterns in knowledge text
+================================ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { chunkMarkdown } from "./chunker.js";
+import { parseProfiles, normalizeProfileId } from "../profiles/index.js";
+import { detectInjection } from "../moderation/injection.js";
+
+// Chunks shorter than this carry too little to be worth retrieving
+const MIN_CHUNK_CHARS = 40;
+// Paragraphs shorter than this are too generic to call duplicates
+const MIN_DUPLICATE_CHARS = 60;
+
+function issue(level, code, file, message) {
+  return { level, code, file, message };
+}
+
+function normalizeParagraph(text) {
+  return text.toLowerCase().replace(/[*_`>#-]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * @param {object} options
+ *   - knowledgeDir, profilesPath
+ *   - chunkSize, chunkOverlap : same values the server chunks with
+ * @returns {Promise<Array<{ level: "error"|"warning", code, file, message }>>}
+ */
+export async function lintKnowledge({ knowledgeDir, profilesPath, chunkSize = 900, chunkOverlap = 0 }) {
+  const issues = [];
+  const profilesFile = path.basename(profilesPath);
+
+  /* ---------- profiles.json ---------- */
+
+  let profiles = { default: "default", profiles: {} };
+  try {
+    const parsed = parseProfiles(await fs.readFile(profilesPath, "utf8"));
+    for (const i of parsed.issues) {
+      issues.push(issue(i.level, "profile-schema", `${profilesFile}:${i.line}:${i.column}`, i.message));
+    }
+    // Resolved ("extends" applied) when valid; as written otherwise
+    profiles = parsed.profiles || parsed.doc || profiles;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      issues.push(issue("error", "profiles-unreadable", profilesFile, error.message));
+    }
+  }
+
+  /* ---------- knowledge directory ---------- */
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(knowledgeDir, { withFileTypes: true });
+  } catch (error) {
+    issues.push(issue("error", "knowledge-dir-unreadable", knowledgeDir, error.message));
+    return issues;
+  }
+
+  const files = new Map(); // name -> text
+  for (const entry of entries) {
+    const name = entry.name;
+
+    if (!entry.isFile()) {
+      issues.push(
+        issue("error", "unreadable-entry", name, `Not a regular file (${entry.isDirectory() ? "directory" : "other"}); the server ignores it`)
+      );
+      continue;
+    }
+    if (!name.endsWith(".md")) {
+      issues.push(issue("warning", "not-markdown", name, "Only .md files are loaded; this file is ignored"));
+      continue;
+    }
+
+    try {
+      const text = await fs.readFile(path.join(knowledgeDir, name), "utf8");
+      if (text.includes("�")) {
+        issues.push(issue("warning", "invalid-utf8", name, "Contains bytes that are not valid UTF-8"));
+      }
+      files.set(name, text);
+    } catch (error) {
+      issues.push(issue("error", "unreadable-entry", name, error.message));
+    }
+  }
+
+  /* ---------- profile references ---------- */
+
+  const referenced = new Set();
+  let someProfileUsesAll = false;
+
+  for (const [rawId, profile] of Object.entries(profiles.profiles)) {
+    const id = normalizeProfileId(rawId);
+    const list = profile?.knowledgeFiles;
+
+    if (!Array.isArray(list)) {
+      someProfileUsesAll = true;
+      continue;
+    }
+    if (!list.length) {
+      issues.push(
+        issue("warning", "profile-no-knowledge", profilesFile, `Profile "${id}" has "knowledgeFiles": [] so it gets no knowledge at all (omit the key to use every file)`)
+      );
+    }
+    if (profile.memoriesFile && !list.includes(profile.memoriesFile)) {
+      issues.push(
+        issue("warning", "memories-not-indexed", profilesFile, `Profile "${id}" saves memories to "${profile.memoriesFile}" but it isn't in its knowledgeFiles`)
+      );
+    }
+    for (const f of list) {
+      referenced.add(String(f));
+      if (!files.has(String(f))) {
+        issues.push(issue("error", "missing-file", profilesFile, `Profile "${id}" references "${f}", which does not exist`));
+      }
+    }
+  }
+
+  if (!someProfileUsesAll) {
+    for (const name of files.keys()) {
+      if (!referenced.has(name)) {
+        issues.push(issue("warning", "unused-file", name, "Not listed in any profile's knowledgeFiles; never retrieved"));
+      }
+    }
+  }
+
+  /* ---------- aliases ---------- */
+
+  const aliasOwners = new Map(); // alias -> Set(profile ids)
+  for (const [rawId, profile] of Object.entries(profiles.profiles)) {
+    const id = normalizeProfileId(rawId);
+    for (const alias of Array.isArray(profile?.aliases) ? profile.aliases : []) {
+      const key = String(alias).trim().toLowerCase();
+      if (!key) continue;
+      if (!aliasOwners.has(key)) aliasOwners.set(key, new Set());
+      aliasOwners.get(key).add(id);
+    }
+  }
+  for (const id of Object.keys(profiles.profiles).map(normalizeProfileId)) {
+    aliasOwners.get(id)?.add(id); // an alias equal to another profile's id clashes too
+  }
+  for (const [alias, owners] of aliasOwners) {
+    if (owners.size > 1) {
+      issues.push(issue("warning", "shared-alias", profilesFile, `Alias "${alias}" is used by profiles: ${[...owners].join(", ")}`));
+    }
+  }
+
+  /* ---------- chunks ---------- */
+
+  const paragraphs = new Map(); // normalized paragraph -> Set(files)
+
+  for (const [name, text] of files) {
+    const chunks = chunkMarkdown(text, { source: name, maxLen: chunkSize, overlap: chunkOverlap });
+
+    if (!chunks.length) {
+      issues.push(issue("warning", "empty-file", name, "No content (0 chunks)"));
+      continue;
+    }
+
+    for (const chunk of chunks) {
+      if (chunk.text.trim().length < MIN_CHUNK_CHARS) {
+        issues.push(issue("warning", "tiny-chunk", name, `Chunk ${chunk.id} has under ${MIN_CHUNK_CHARS} characters`));
+      } else if (chunk.text.length > chunkSize * 1.5) {
+        issues.push(
+          issue("warning", "oversized-chunk", name, `Chunk ${chunk.id} is ${chunk.text.length} characters (limit ${chunkSize}); a long code block or list can't be split`)
+        );
+      }
+    }
+
+    for (const found of detectInjection(text)) {
+      issues.push(
+        issue("warning", "injection-pattern", name, `Reads like an instruction to the assistant (${found.id}): "${found.match}"`)
+      );
+    }
+
+    for (const para of text.split(/\r?\n\s*\r?\n/)) {
+      const key = normalizeParagraph(para);
+      if (key.length < MIN_DUPLICATE_CHARS) continue;
+      if (!paragraphs.has(key)) paragraphs.set(key, new Set());
+      paragraphs.get(key).add(name);
+    }
+  }
+
+  for (const [key, owners] of paragraphs) {
+    if (owners.size > 1) {
+      const [first, ...others] = [...owners];
+      issues.push(
+        issue("warning", "duplicate-paragraph", first, `Paragraph also in ${others.join(", ")}: "${key.slice(0, 60)}…"`)
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * One line per issue, errors first.
+ */
+export function formatLintIssues(issues) {
+  const order = { error: 0, warning: 1 };
+  return [...issues]
+    .sort((a, b) => order[a.level] - order[b.level] || a.file.localeCompare(b.file))
+    .map((i) => `${i.level === "error" ? "✖" : "⚠"} ${i.level.padEnd(7)} ${i.code.padEnd(20)} ${i.file}: ${i.message}`)
+    .join("\n");
+}
@@ -0,0 +1,95 @@
+/* ================================
+   Knowledge Watcher
+   - fs.watch on directories (survives editors that save via rename)
+   - Debounces bursts of events into one callback with the changed names
+   - A watcher that errors (EMFILE, directory removed, ...) is closed and
+     re-created with backoff; a reload runs when it fails and again once
+     it is back, so changes made in between are not missed
+================================ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * @param {Array<{ dir: string, filter?: (name: string) => boolean }>} targets
+ * @param {object} options
+ *   - debounceMs : quiet period before onChange fires
+ *   - retryMs, maxRetryMs : backoff for re-creating a failed watcher
+ *   - onChange(files) : files = ["knowledge/about.md", "profiles.json", ...]
+ *                       (relative to each target's parent directory)
+ * @returns {{ close(): void } | null} null when fs.watch is unavailable
+ */
+export function watchKnowledge(targets, { debounceMs = 300, retryMs = 1000, maxRetryMs = 60_000, onChange }) {
+  const pending = new Set();
+  const watchers = new Map(); // target -> fs.FSWatcher
+  const retries = new Set();
+  let timer = null;
+  let closed = false;
+
+  function flush() {
+    timer = null;
+    const files = [...pending];
+    pending.clear();
+    onChange(files);
+  }
+
+  function changed(name) {
+    if (closed) return;
+    pending.add(name);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  }
+
+  function watch(target) {
+    const { dir, filter } = target;
+    const label = path.basename(dir);
+    const watcher = fs.watch(dir, (event, filename) => {
+      const name = filename ? String(filename) : "";
+      // Some platforms omit the filename; treat that as "something changed"
+      if (name && filter && !filter(name)) return;
+      changed(name ? `${label}/${name}` : label);
+    });
+    watcher.on("error", (error) => {
+      console.error(`Knowledge watcher error (${dir}), re-creating it:`, error?.message || error);
+      watcher.close();
+      watchers.delete(target);
+      changed(label);
+      retry(target, retryMs);
+    });
+    watchers.set(target, watcher);
+  }
+
+  function retry(target, delay) {
+    if (closed) return;
+    const handle = setTimeout(() => {
+      retries.delete(handle);
+      if (closed) return;
+      try {
+        watch(target);
+        changed(path.basename(target.dir));
+      } catch (error) {
+        console.error(`Knowledge watcher for ${target.dir} still unavailable:`, error?.message || error);
+        retry(target, Math.min(delay * 2, maxRetryMs));
+      }
+    }, delay);
+    handle.unref?.();
+    retries.add(handle);
+  }
+
+  try {
+    for (const target of targets) watch(target);
+  } catch (error) {
+    watchers.forEach((w) => w.close());
+    console.error("File watching unavailable:", error?.message || error);
+    return null;
+  }
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      retries.forEach((handle) => clearTimeout(handle));
+      watchers.forEach((w) => w.close());
+    },
+  };
+}
@@ -0,0 +1,114 @@
+/* ================================
+   Run the prompt-injection corpus against the mock provider
+   Usage: npm run check:injection
+   - Corpus: server/scripts/injection-corpus.json
+   - Every attack must be detected, benign messages must not be, knowledge
+     blocks must stay closed, and no reply may carry the canary or the
+     system prompt (the mock's "/leak" plays a model that gave in)
+   - Replies go through the server's own instruction builder and
+     moderation path, with the corpus knowledge as the retrieved excerpts
+   - Exit code 1 on any failure
+================================ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { createMockProvider } from "../llm/mock.js";
+import { createModeration } from "../moderation/index.js";
+import { detectInjection, detectLeak, knowledgeBlock } from "../moderation/injection.js";
+import { createInstructionBuilder, SYSTEM_PROMPT } from "../prompt/index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const corpus = JSON.parse(await fs.readFile(path.join(__dirname, "injection-corpus.json"), "utf8"));
+
+const profile = { id: "corpus", name: "Corpus", tone: "plain", moderation: { refusal: "REFUSED" } };
+const provider = createMockProvider();
+const moderation = createModeration({ maxInputChars: 4000 });
+
+// Every corpus knowledge file is "retrieved" for every message
+const corpusChunks = corpus.knowledge.map((k, i) => ({
+  id: `corpus-${i + 1}`,
+  source: `corpus-${i + 1}.md`,
+  heading: k.name,
+  text: k.text,
+  score: 1,
+}));
+const buildAssistantInstructions = createInstructionBuilder({
+  retrieve: async () => corpusChunks,
+  knowledgeBudget: () => Infinity,
+  defaults: () => ({ name: profile.name, tone: profile.tone, systemPrompt: SYSTEM_PROMPT }),
+});
+
+const failures = [];
+let passed = 0;
+
+function check(name, problems) {
+  if (problems.length) {
+    failures.push(name);
+    console.log(`✖ ${name}\n${problems.map((p) => `    - ${p}`).join("\n")}`);
+  } else {
+    passed++;
+    console.log(`✔ ${name}`);
+  }
+}
+
+function compareDetected(text, expected) {
+  const found = detectInjection(text).map((f) => f.id);
+  const problems = [];
+  const missing = expected.filter((id) => !found.includes(id));
+  if (missing.length) problems.push(`not detected: ${missing.join(", ")}`);
+  if (!expected.length && found.length) problems.push(`false positive: ${found.join(", ")}`);
+  return { found, problems };
+}
+
+/* ---------- visitor messages ---------- */
+
+for (const attack of corpus.messages) {
+  const { found, problems } = compareDetected(attack.input, attack.detect);
+
+  const flagged = await moderation.checkInput(attack.input, profile);
+  if (flagged.blocked) problems.push(`blocked in "flag" mode (${flagged.reason})`);
+  else if (flagged.injection.join() !== found.join()) problems.push("checkInput flagged different patterns");
+
+  if (found.length) {
+    const strict = { ...profile, moderation: { ...profile.moderation, input: { injection: "block" } } };
+    const blocked = await moderation.checkInput(attack.input, strict);
+    if (blocked.reason !== "injection") problems.push('not blocked in "block" mode');
+  }
+
+  // Through the mock, streamed and final, the way the chat route runs a turn
+  const { instructions, sources, guard } = await buildAssistantInstructions(attack.input, profile);
+  if (sources.length !== corpusChunks.length) problems.push("corpus knowledge missing from the instructions");
+  const params = { instructions, messages: [{ role: "user", content: attack.input }] };
+
+  let streamed = "";
+  let final = null;
+  for await (const event of moderation.moderateTurn(provider.stream(params), profile, { guard })) {
+    if (event.type === "delta") streamed += event.delta;
+    if (event.type === "done") final = event;
+  }
+
+  if (detectLeak(streamed, guard)) problems.push("streamed deltas leaked the instructions");
+  if (detectLeak(final.text, guard)) problems.push("final reply leaked the instructions");
+  if (attack.leak && final.moderation.reason !== "prompt_leak") problems.push("leak was not caught");
+
+  check(`message: ${attack.name}`, problems);
+}
+
+/* ---------- knowledge files ---------- */
+
+for (const file of corpus.knowledge) {
+  const { problems } = compareDetected(file.text, file.detect);
+
+  const block = knowledgeBlock([{ source: "corpus.md", text: file.text }]);
+  const count = (tag) => block.split(tag).length - 1;
+  if (count("</knowledge>") !== 1 || count("</excerpt>") !== 1 || count("<excerpt ") !== 1) {
+    problems.push("excerpt text broke out of its <knowledge> block");
+  }
+
+  check(`knowledge: ${file.name}`, problems);
+}
+
+console.log(`\n${passed} passed, ${failures.length} failed`);
+process.exit(failures.length ? 1 : 0);
@@ -0,0 +1,54 @@
+/* ================================
+   Create an invite link for a private profile
+   Usage: npm run invite -- <profileId> [days]
+   - Signed with PROFILE_TOKEN_SECRET (must match the running server)
+================================ */
+
+import "dotenv/config";
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { createProfileAccess, isPrivateProfile } from "../access/index.js";
+import { loadProfilesFile } from "../profiles/index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_PATH = path.join(__dirname, "..", "profiles.json");
+
+const [profileArg, daysArg] = process.argv.slice(2);
+const profileId = String(profileArg || "").trim().toLowerCase();
+const days = Number(daysArg) || 7;
+
+if (!profileId) {
+  console.error("Usage: npm run invite -- <profileId> [days]");
+  process.exit(1);
+}
+
+if (!process.env.PROFILE_TOKEN_SECRET) {
+  console.error("PROFILE_TOKEN_SECRET is not set; the server could not verify this invite.");
+  process.exit(1);
+}
+
+let profiles;
+try {
+  ({ profiles } = await loadProfilesFile(PROFILES_PATH));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const profile = profiles[profileId];
+
+if (!profile) {
+  console.error(`Unknown profile "${profileId}"`);
+  process.exit(1);
+}
+if (!isPrivateProfile(profile)) {
+  console.warn(`Profile "${profileId}" is public; it does not need an invite.`);
+}
+
+const access = createProfileAccess({ secret: process.env.PROFILE_TOKEN_SECRET });
+const { token, expiresAt } = access.createInvite(profileId, days * 24 * 60 * 60 * 1000);
+
+const base = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, "");
+console.log(`${base}/?invite=${encodeURIComponent(token)}`);
+console.log(`Expires: ${expiresAt}`);
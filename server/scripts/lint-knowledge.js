@@ -0,0 +1,33 @@
+/* ================================
+   Lint the knowledge base
+   Usage: npm run lint:knowledge [-- --strict]
+   - Exit code 1 on errors (or on warnings too with --strict)
+================================ */
+
+import "dotenv/config";
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { lintKnowledge, formatLintIssues } from "../rag/lint.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.join(__dirname, "..");
+
+const strict = process.argv.includes("--strict");
+
+// Same chunking settings as the server (RAG_CHUNK_SIZE / RAG_CHUNK_OVERLAP)
+const issues = await lintKnowledge({
+  knowledgeDir: path.join(SERVER_DIR, "knowledge"),
+  profilesPath: path.join(SERVER_DIR, "profiles.json"),
+  chunkSize: Number(process.env.RAG_CHUNK_SIZE) || 900,
+  chunkOverlap: Number(process.env.RAG_CHUNK_OVERLAP ?? 150),
+});
+
+const errors = issues.filter((i) => i.level === "error").length;
+const warnings = issues.length - errors;
+
+if (issues.length) console.log(formatLintIssues(issues));
+console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+
+process.exit(errors || (strict && warnings) ? 1 : 0);
@@ -0,0 +1,60 @@
+/* ================================
+   File session store
+   - One JSON file per session: <dir>/<id>.json
+   - Survives restarts; writes are write-then-rename, each through its
+     own temp file so concurrent saves of one session never interleave
+================================ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export function createFileStore({ dir }) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  let ready = null;
+
+  const ensureDir = () => (ready ??= fs.mkdir(dir, { recursive: true }));
+
+  return {
+    name: "file",
+
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+
+    async set(session) {
+      await ensureDir();
+      const file = fileFor(session.id);
+      const tmp = `${file}.${process.pid}-${crypto.randomBytes(4).toString("hex")}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(session));
+      await fs.rename(tmp, file);
+    },
+
+    async delete(id) {
+      await fs.rm(fileFor(id), { force: true });
+    },
+
+    async prune(now = Date.now()) {
+      let files = [];
+      try {
+        files = await fs.readdir(dir);
+      } catch {
+        return 0;
+      }
+
+      let removed = 0;
+      for (const f of files.filter((name) => name.endsWith(".json"))) {
+        const session = await this.get(f.slice(0, -".json".length));
+        if (!session || session.expiresAt <= now) {
+          await fs.rm(path.join(dir, f), { force: true });
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
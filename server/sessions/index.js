@@ -0,0 +1,135 @@
+/* ================================
+   Chat Sessions
+   - The server owns the transcript; clients only send the new message
+   - Session id travels as the X-Session-Id header or the chat_sid cookie
+   - Pluggable store: "memory" | "file" (SESSION_STORE)
+   - Sliding TTL: every turn pushes expiry forward
+================================ */
+
+import crypto from "crypto";
+
+import { createMemoryStore } from "./memory.js";
+import { createFileStore } from "./file.js";
+
+export const SESSION_HEADER = "x-session-id";
+export const SESSION_COOKIE = "chat_sid";
+
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+export function readCookie(req, name) {
+  const header = String(req.headers.cookie || "");
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+/**
+ * @param {object} options - { driver, dir, ttlMs, maxMessages }
+ */
+export function createSessions({ driver = "memory", dir, ttlMs = 24 * 60 * 60 * 1000, maxMessages = 200 } = {}) {
+  let store;
+  switch (String(driver).toLowerCase()) {
+    case "memory":
+      store = createMemoryStore();
+      break;
+    case "file":
+      store = createFileStore({ dir });
+      break;
+    default:
+      throw new Error(`Unknown SESSION_STORE "${driver}" (use: memory, file)`);
+  }
+
+  function newSession() {
+    const now = Date.now();
+    return {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ttlMs,
+      seq: 0, // last message sequence number (summaries refer to it)
+      messages: [],
+    };
+  }
+
+  return {
+    store,
+    ttlMs,
+
+    /**
+     * Session id supplied by the request (header first, then cookie), if well-formed.
+     */
+    idFromRequest(req) {
+      const id = req.get(SESSION_HEADER) || readCookie(req, SESSION_COOKIE);
+      return isValidSessionId(id) ? id : null;
+    },
+
+    /**
+     * Live session for the request, or null.
+     */
+    async find(req) {
+      const id = this.idFromRequest(req);
+      if (!id) return null;
+      const session = await store.get(id);
+      return session && session.expiresAt > Date.now() ? session : null;
+    },
+
+    /**
+     * Existing live session for the request, or a fresh one (not yet saved).
+     */
+    async resolve(req) {
+      return (await this.find(req)) || newSession();
+    },
+
+    /**
+     * Append turns and persist (extends the TTL).
+     */
+    async append(session, ...turns) {
+      const now = Date.now();
+      // Sessions saved before sequence numbers existed
+      session.messages.forEach((m, i) => (m.seq ??= i + 1));
+      session.seq = session.seq || session.messages.length;
+      session.messages.push(
+        ...turns.map((t) => ({ seq: ++session.seq, role: t.role, content: t.content, at: now }))
+      );
+      session.messages = session.messages.slice(-maxMessages);
+      session.updatedAt = now;
+      session.expiresAt = now + ttlMs;
+      await store.set(session);
+    },
+
+    /**
+     * Persist changes made outside append (e.g. pending actions).
+     */
+    async save(session) {
+      session.updatedAt = Date.now();
+      await store.set(session);
+    },
+
+    async destroy(id) {
+      await store.delete(id);
+    },
+
+    /**
+     * Echo the id back to the client (header for fetch, cookie for reloads).
+     */
+    attach(res, session) {
+      res.set("X-Session-Id", session.id);
+      res.cookie(SESSION_COOKIE, session.id, {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: process.env.NODE_ENV === "production",
+        maxAge: ttlMs,
+      });
+    },
+
+    prune() {
+      return store.prune();
+    },
+  };
+}
@@ -0,0 +1,35 @@
+/* ================================
+   In-memory session store
+   - Fast, zero setup; sessions are lost on restart
+================================ */
+
+export function createMemoryStore() {
+  const sessions = new Map();
+
+  return {
+    name: "memory",
+
+    async get(id) {
+      return sessions.get(id) || null;
+    },
+
+    async set(session) {
+      sessions.set(session.id, session);
+    },
+
+    async delete(id) {
+      sessions.delete(id);
+    },
+
+    async prune(now = Date.now()) {
+      let removed = 0;
+      for (const [id, s] of sessions) {
+        if (s.expiresAt <= now) {
+          sessions.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createProfileAccess } from "../access/index.js";
+
+process.env.TEST_PROFILE_PASSCODE = "open-sesame";
+const profile = { visibility: "private", access: { passcodeEnv: "TEST_PROFILE_PASSCODE" } };
+
+const attempt = (access, client, passcode = "wrong") => {
+  try {
+    access.unlock("secret", profile, { passcode }, client);
+    return "ok";
+  } catch (error) {
+    return error.code;
+  }
+};
+
+test("a client is locked out after repeated wrong passcodes", () => {
+  const access = createProfileAccess({ secret: "s" });
+  for (let i = 0; i < 5; i++) assert.equal(attempt(access, "1.2.3.4"), "invalid_passcode");
+  assert.equal(attempt(access, "1.2.3.4", "open-sesame"), "too_many_attempts");
+  assert.equal(attempt(access, "5.6.7.8", "open-sesame"), "ok");
+});
+
+test("failed attempts are tracked for a bounded number of clients", () => {
+  const access = createProfileAccess({ secret: "s" });
+  for (let i = 0; i < 5; i++) attempt(access, "first");
+  assert.equal(attempt(access, "first"), "too_many_attempts");
+
+  // Enough other clients push the oldest entry out
+  for (let i = 0; i < 10_000; i++) attempt(access, `client-${i}`);
+  assert.equal(attempt(access, "first", "open-sesame"), "ok");
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isEmailAddress } from "../mail/address.js";
+import { validateArgs, TOOL_DEFINITIONS } from "../tools/index.js";
+import { buildInvite } from "../calendar/index.js";
+
+const accepted = ["visitor@example.com", "first.last+tag@mail.example.co.uk", "o'neil@example.io"];
+const rejected = ['"a,b"@example.com', "a,b@example.com", "a;b@example.com", "a:b@example.com", "a b@example.com", "a@b", "a..b@example.com", "a@-example.com", "a@example.com\r\n", ""];
+
+test("isEmailAddress accepts plain addresses only", () => {
+  for (const email of accepted) assert.equal(isEmailAddress(email), true, email);
+  for (const email of rejected) assert.equal(isEmailAddress(email), false, JSON.stringify(email));
+  assert.equal(isEmailAddress(`${"a".repeat(250)}@example.com`), false);
+  assert.equal(isEmailAddress(null), false);
+});
+
+test("an email the tools accept can always go into an invite", () => {
+  const schema = TOOL_DEFINITIONS.find((t) => t.name === "schedule_meeting").parameters;
+  for (const email of [...accepted, ...rejected].filter(Boolean)) {
+    const { value, errors } = validateArgs(schema, { name: "V", email, date: "2026-03-02", time: "10:00", projectDescription: "x" });
+    const valid = !errors.some((e) => e.startsWith("email"));
+    const invite = () =>
+      buildInvite({
+        uid: "u@example.com",
+        start: 0,
+        end: 1,
+        summary: "s",
+        organizer: { email: "owner@example.com" },
+        attendees: [{ email: value.email }],
+      });
+    if (valid) assert.doesNotThrow(invite, email);
+    else assert.throws(invite, { code: "invalid_invite" }, JSON.stringify(email));
+  }
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createAvailability, normalizeAvailability, zonedParts, zonedTime } from "../availability/index.js";
+
+// Monday 2026-03-02, 06:00 in Chicago (CST, UTC-6)
+const NOW = Date.parse("2026-03-02T12:00:00Z");
+
+const config = {
+  timezone: "America/Chicago",
+  slotMinutes: 60,
+  bufferMinutes: 0,
+  minNoticeHours: 2,
+  maxDaysAhead: 30,
+  weeklyHours: { mon: [["09:00", "12:00"]], tue: [["09:00", "12:00"]], sun: [["02:00", "04:00"]] },
+  preferredTimes: ["10:00"],
+  blackoutDates: [{ date: "2026-03-03", reason: "Conference" }],
+};
+
+const engine = (busy) => createAvailability({ config, busy, now: () => NOW });
+
+test("zonedTime and zonedParts round-trip a wall-clock time", () => {
+  const ms = zonedTime("2026-03-02", "09:00", "America/Chicago");
+  assert.equal(new Date(ms).toISOString(), "2026-03-02T15:00:00.000Z");
+  assert.deepEqual(
+    { ...zonedParts(ms, "America/Chicago"), offsetMs: undefined },
+    { date: "2026-03-02", time: "09:00", weekday: "mon", offsetMs: undefined }
+  );
+});
+
+test("zonedTime follows DST and skips the missing hour", () => {
+  // Clocks go forward at 02:00 on 2026-03-08 in the US
+  assert.equal(zonedTime("2026-03-08", "02:30", "America/Chicago"), null);
+  assert.equal(new Date(zonedTime("2026-03-09", "09:00", "America/Chicago")).toISOString(), "2026-03-09T14:00:00.000Z");
+});
+
+test("normalizeAvailability fills defaults and lists every problem", () => {
+  const settings = normalizeAvailability({});
+  assert.equal(settings.timezone, "UTC");
+  assert.equal(settings.slotMinutes, 30);
+
+  assert.throws(
+    () => normalizeAvailability({ timezone: "Mars/Base", slotMinutes: 1, weeklyHours: { mon: [["12:00", "09:00"]], fun: [] } }),
+    (error) => error.code === "invalid_availability" && error.problems.length === 4
+  );
+});
+
+test("slots lists free slots per day, marking blackouts and preferred times", async () => {
+  const { days } = await engine().slots({ from: "2026-03-02", to: "2026-03-03" });
+  assert.deepEqual(days[0].slots.map((s) => s.time), ["09:00", "10:00", "11:00"]);
+  assert.equal(days[0].slots[1].preferred, true);
+  assert.equal(days[1].blackout, "Conference");
+  assert.deepEqual(days[1].slots, []);
+});
+
+test("slots drops the slot skipped by DST", async () => {
+  const { days } = await engine().slots({ from: "2026-03-08", to: "2026-03-08" });
+  assert.deepEqual(days[0].slots.map((s) => s.time), ["03:00"]);
+});
+
+test("busy meetings block their slot", async () => {
+  const busy = async () => [{ start: "2026-03-02T16:00:00.000Z", end: "2026-03-02T17:00:00.000Z" }];
+  const { days } = await engine(busy).slots({ from: "2026-03-02", to: "2026-03-02" });
+  assert.deepEqual(days[0].slots.map((s) => s.time), ["09:00", "11:00"]);
+});
+
+test("check explains why a time can't be booked", async () => {
+  const availability = engine();
+  const reason = async (start) => (await availability.check(start)).reason;
+  assert.equal(await reason("not a date"), "invalid_time");
+  assert.equal(await reason("2026-03-02T13:00:00.000Z"), "too_soon");
+  assert.equal(await reason("2026-03-03T15:00:00.000Z"), "blackout");
+  assert.equal(await reason("2026-03-02T15:30:00.000Z"), "outside_hours");
+  assert.equal(await reason("2026-06-01T14:00:00.000Z"), "too_far");
+  assert.equal((await availability.check("2026-03-02T15:00:00.000Z")).ok, true);
+});
+
+test("book runs one booking at a time, so a slot can't be taken twice", async () => {
+  const taken = [];
+  const availability = engine(async () => taken);
+  const start = "2026-03-02T15:00:00.000Z";
+  const book = (slot) => {
+    taken.push({ start: slot.start, end: slot.end });
+    return slot.start;
+  };
+
+  const results = await Promise.allSettled([availability.book(start, book), availability.book(start, book)]);
+  assert.equal(results[0].status, "fulfilled");
+  assert.equal(results[1].status, "rejected");
+  assert.equal(results[1].reason.code, "slot_unavailable");
+  assert.equal(taken.length, 1);
+});
+
+test("a retried booking doesn't collide with itself", async () => {
+  const busy = async ({ except } = {}) =>
+    except === "key-1" ? [] : [{ start: "2026-03-02T15:00:00.000Z", end: "2026-03-02T16:00:00.000Z" }];
+  const result = await engine(busy).check("2026-03-02T15:00:00.000Z", { except: "key-1" });
+  assert.equal(result.ok, true);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { stem, tokenize, buildIndex, scoreIndex } from "../rag/bm25.js";
+
+const chunks = [
+  { id: "pricing#rates-1", source: "pricing.md", heading: "Rates", text: "Hourly rate is $80. Fixed-price projects are quoted per scope." },
+  { id: "projects#shop-1", source: "projects.md", heading: "Shop", text: "Built an online shop with React and Stripe payments." },
+  { id: "about#bio-1", source: "about.md", heading: "Bio", text: "Full stack developer who enjoys shipping products." },
+];
+
+test("stem collapses plurals and -ing/-ed but keeps short words", () => {
+  assert.equal(stem("projects"), "project");
+  assert.equal(stem("shipping"), "ship");
+  assert.equal(stem("pricing"), stem("priced"));
+  assert.equal(stem("bus"), "bus");
+  assert.notEqual(stem("react"), stem("reaction"));
+});
+
+test("tokenize drops stop words, punctuation and one-letter tokens", () => {
+  assert.deepEqual(tokenize("What's the price of a React app?"), ["pric", "react", "app"]);
+  assert.deepEqual(tokenize(""), []);
+});
+
+test("buildIndex records postings and lengths", () => {
+  const index = buildIndex(chunks, { k1: 1.5 });
+  assert.equal(index.docs.length, 3);
+  assert.equal(index.k1, 1.5);
+  assert.equal(index.b, 0.75);
+  assert.deepEqual(index.postings.get("shop").map((p) => p.doc), [1]);
+  assert.ok(index.avgLength > 0);
+});
+
+test("scoreIndex ranks the matching chunk first", () => {
+  const index = buildIndex(chunks);
+  const scores = scoreIndex(index, "react shop", { sourceBoost: 0 });
+  assert.deepEqual([...scores.keys()], [1]);
+  assert.ok(scores.get(1) > 0);
+});
+
+test("scoreIndex boosts chunks whose file name is in the query", () => {
+  const index = buildIndex(chunks);
+  const plain = scoreIndex(index, "pricing", { sourceBoost: 0 }).get(0);
+  const boosted = scoreIndex(index, "pricing", { sourceBoost: 2 }).get(0);
+  assert.equal(boosted, plain + 2);
+});
+
+test("scoreIndex on an empty index returns no scores", () => {
+  assert.equal(scoreIndex(buildIndex([]), "anything").size, 0);
+});
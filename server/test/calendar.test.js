@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildInvite, inviteAttachment, escapeText, foldLine, formatUtc } from "../calendar/index.js";
+
+const meeting = {
+  uid: "abc@example.com",
+  start: "2026-03-02T15:00:00.000Z",
+  end: "2026-03-02T15:30:00.000Z",
+  summary: "Intro call",
+  organizer: { name: "Sankalp Singh", email: "owner@example.com" },
+  attendees: [{ name: "Visitor, Jr.", email: "visitor@example.com" }],
+  stamp: "2026-03-01T00:00:00.000Z",
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+test("formatUtc writes basic UTC date-times", () => {
+  assert.equal(formatUtc("2026-03-02T15:00:00.000Z"), "20260302T150000Z");
+  assert.throws(() => formatUtc("nope"), { code: "invalid_invite" });
+});
+
+test("escapeText escapes TEXT values", () => {
+  assert.equal(escapeText("a;b,c\\d\r\ne"), "a\\;b\\,c\\\\d\\ne");
+});
+
+test("foldLine keeps lines within 75 octets without splitting characters", () => {
+  const folded = foldLine(`DESCRIPTION:${"é".repeat(60)}`);
+  for (const line of folded.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75);
+  assert.equal(folded.replace(/\r\n /g, ""), `DESCRIPTION:${"é".repeat(60)}`);
+});
+
+test("a new meeting is a REQUEST with CRLF line endings", () => {
+  const ics = buildInvite(meeting);
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics));
+
+  const lines = unfold(ics).split("\r\n");
+  assert.ok(lines.includes("METHOD:REQUEST"));
+  assert.ok(lines.includes("UID:abc@example.com"));
+  assert.ok(lines.includes("SEQUENCE:0"));
+  assert.ok(lines.includes("DTSTART:20260302T150000Z"));
+  assert.ok(lines.includes("STATUS:CONFIRMED"));
+  assert.ok(lines.includes("ORGANIZER;CN=Sankalp Singh:mailto:owner@example.com"));
+  assert.ok(lines.some((l) => l.startsWith('ATTENDEE;CN="Visitor, Jr.";') && l.includes("RSVP=TRUE")));
+});
+
+test("a cancellation keeps the UID and is marked cancelled", () => {
+  const lines = unfold(buildInvite({ ...meeting, method: "CANCEL", sequence: 2 })).split("\r\n");
+  assert.ok(lines.includes("METHOD:CANCEL"));
+  assert.ok(lines.includes("UID:abc@example.com"));
+  assert.ok(lines.includes("SEQUENCE:2"));
+  assert.ok(lines.includes("STATUS:CANCELLED"));
+  assert.ok(!lines.some((l) => l.includes("RSVP")));
+});
+
+test("unknown methods are rejected", () => {
+  assert.throws(() => buildInvite({ ...meeting, method: "PUBLISH" }), { code: "invalid_invite" });
+});
+
+test("emails that could inject lines or parameters are rejected", () => {
+  for (const email of ["visitor@example.com\r\nATTENDEE:mailto:x@y.z", "a;b@example.com", "not-an-email"]) {
+    assert.throws(() => buildInvite({ ...meeting, attendees: [{ name: "X", email }] }), { code: "invalid_invite" });
+  }
+});
+
+test("inviteAttachment names and types the file by method", () => {
+  assert.equal(inviteAttachment("x").filename, "invite.ics");
+  const cancel = inviteAttachment("x", "CANCEL");
+  assert.equal(cancel.filename, "cancel.ics");
+  assert.equal(cancel.contentType, "text/calendar; charset=utf-8; method=CANCEL");
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFrontMatter, chunkMarkdown, chunkSearchText, HEADING_SEPARATOR } from "../rag/chunker.js";
+
+const doc = `---
+title: Services
+---
+
+Intro paragraph.
+
+## Web apps
+
+Full stack web apps.
+
+## Pricing
+
+Hourly or fixed price.
+`;
+
+test("parseFrontMatter splits the YAML header from the body", () => {
+  const { frontMatter, body } = parseFrontMatter(doc);
+  assert.equal(frontMatter.title, "Services");
+  assert.ok(body.trimStart().startsWith("Intro paragraph."));
+});
+
+test("chunkMarkdown makes one chunk per section with its heading path", () => {
+  const chunks = chunkMarkdown(doc, { source: "services.md" });
+  assert.deepEqual(
+    chunks.map((c) => c.heading),
+    ["Services", `Services${HEADING_SEPARATOR}Web apps`, `Services${HEADING_SEPARATOR}Pricing`]
+  );
+  assert.ok(chunks.every((c) => c.source === "services.md"));
+  assert.equal(chunks[2].text, "Hourly or fixed price.");
+});
+
+test("chunk ids are unique within a file", () => {
+  const text = `## Notes\n\n${"word ".repeat(150)}\n\n${"more ".repeat(150)}`;
+  const chunks = chunkMarkdown(text, { source: "notes.md", maxLen: 900 });
+  assert.ok(chunks.length >= 2);
+  assert.equal(new Set(chunks.map((c) => c.id)).size, chunks.length);
+  assert.ok(chunks.every((c) => c.text.length <= 900));
+});
+
+test("overlap carries the end of the previous piece", () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${"text ".repeat(30)}`.trim());
+  const chunks = chunkMarkdown(`## Long\n\n${paragraphs.join("\n\n")}`, { source: "long.md", maxLen: 400, overlap: 120 });
+  assert.ok(chunks.length >= 2);
+  const tail = chunks[0].text.slice(-40);
+  assert.ok(chunks[1].text.includes(tail));
+});
+
+test("chunkSearchText puts the heading in front of the body", () => {
+  assert.equal(chunkSearchText({ heading: "A > B", text: "body" }), "A > B\nbody");
+  assert.equal(chunkSearchText({ heading: "", text: "body" }), "body");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildIndex } from "../rag/bm25.js";
+import { searchHybrid } from "../rag/hybrid.js";
+
+const chunks = [
+  { id: "a-1", source: "a.md", heading: "", text: "React dashboard with charts" },
+  { id: "b-1", source: "b.md", heading: "", text: "Mobile app for booking yoga classes" },
+  { id: "c-1", source: "c.md", heading: "", text: "React Native fitness tracker" },
+];
+const index = buildIndex(chunks);
+
+// Unit vectors, so cosine is the dot product
+const vectors = new Map([
+  [chunks[0], [1, 0]],
+  [chunks[1], [0, 1]],
+  [chunks[2], [Math.SQRT1_2, Math.SQRT1_2]],
+]);
+
+test("keyword only: scores are normalized so the best match is 1", () => {
+  const results = searchHybrid(index, "react dashboard", { sourceBoost: 0 });
+  assert.equal(results[0].id, "a-1");
+  assert.equal(results[0].score, 1);
+  assert.deepEqual(results.map((r) => r.id), ["a-1", "c-1"]);
+});
+
+test("vectors add matches that share no keywords", () => {
+  const results = searchHybrid(index, "react dashboard", {
+    sourceBoost: 0,
+    queryVector: [0, 1],
+    vectors,
+    alpha: 0.5,
+    minSimilarity: 0.5,
+  });
+  assert.ok(results.some((r) => r.id === "b-1" && r.keywordScore === 0));
+});
+
+test("alpha weighs keyword against vector scores", () => {
+  const options = { sourceBoost: 0, queryVector: [0, 1], vectors, minSimilarity: 0 };
+  const keywordHeavy = searchHybrid(index, "react dashboard", { ...options, alpha: 0.9 });
+  const vectorHeavy = searchHybrid(index, "react dashboard", { ...options, alpha: 0.1 });
+  assert.equal(keywordHeavy[0].id, "a-1");
+  assert.equal(vectorHeavy[0].id, "b-1");
+});
+
+test("vector-only matches below minSimilarity are dropped", () => {
+  const results = searchHybrid(index, "react dashboard", {
+    sourceBoost: 0,
+    queryVector: [1, 0],
+    vectors,
+    minSimilarity: 0.9,
+  });
+  assert.ok(!results.some((r) => r.id === "b-1"));
+});
+
+test("k limits the results; an empty index returns none", () => {
+  assert.equal(searchHybrid(index, "react", { k: 1 }).length, 1);
+  assert.deepEqual(searchHybrid(buildIndex([]), "react"), []);
+});
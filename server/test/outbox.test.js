@@ -0,0 +1,96 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { createOutbox, backoffDelay } from "../outbox/index.js";
+
+const dirs = [];
+after(() => Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempFile() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+  dirs.push(dir);
+  return path.join(dir, "outbox.json");
+}
+
+const message = (to) => ({ from: "a@example.com", to, subject: `Hello ${to}`, text: "hi" });
+
+test("backoffDelay doubles per attempt within the jitter and stops at the max", () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 10_000 };
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(1, options);
+    const third = backoffDelay(3, options);
+    assert.ok(first >= 800 && first <= 1200);
+    assert.ok(third >= 3200 && third <= 4800);
+    assert.ok(backoffDelay(10, options) <= 12_000);
+  }
+});
+
+test("messages are delivered and marked sent", async () => {
+  const sent = [];
+  const outbox = createOutbox({
+    file: await tempFile(),
+    send: async (m) => {
+      sent.push(m.to);
+      return { transport: "test", id: `id-${m.to}` };
+    },
+  });
+
+  const { duplicate, ids } = await outbox.enqueue([message("x@example.com"), message("y@example.com")], { key: "k1", label: "contact" });
+  assert.equal(duplicate, false);
+  await outbox.kick();
+
+  assert.deepEqual(sent, ["x@example.com", "y@example.com"]);
+  const entry = await outbox.get(ids[0]);
+  assert.equal(entry.status, "sent");
+  assert.equal(entry.providerId, "id-x@example.com");
+});
+
+test("the same idempotency key is queued once", async () => {
+  const outbox = createOutbox({ file: await tempFile(), send: async () => ({}) });
+  const first = await outbox.enqueue([message("x@example.com")], { key: "same" });
+  const second = await outbox.enqueue([message("x@example.com")], { key: "same" });
+  assert.equal(second.duplicate, true);
+  assert.deepEqual(second.ids, first.ids);
+  await outbox.kick();
+  assert.equal((await outbox.list()).total, 1);
+});
+
+test("failures back off, then fail after maxAttempts and can be retried", async () => {
+  let fail = true;
+  const outbox = createOutbox({
+    file: await tempFile(),
+    maxAttempts: 2,
+    baseDelayMs: 0,
+    maxDelayMs: 0,
+    send: async () => {
+      if (fail) throw new Error("mail down");
+      return {};
+    },
+  });
+
+  const [id] = (await outbox.enqueue([message("x@example.com")], { key: "k" })).ids;
+  await outbox.kick();
+
+  const failed = await outbox.get(id);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.lastError, "mail down");
+
+  fail = false;
+  await outbox.retry(id);
+  await outbox.kick();
+  assert.equal((await outbox.get(id)).status, "sent");
+  await assert.rejects(outbox.retry(id), { code: "not_retryable" });
+});
+
+test("list leaves out message bodies", async () => {
+  const outbox = createOutbox({ file: await tempFile(), send: async () => ({}) });
+  await outbox.enqueue([message("x@example.com")], { key: "k" });
+  const { entries } = await outbox.list();
+  assert.equal(entries[0].to, "x@example.com");
+  assert.equal(entries[0].subject, "Hello x@example.com");
+  assert.equal(entries[0].message, undefined);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateProfiles, resolveProfiles } from "../profiles/index.js";
+
+const base = {
+  visibility: "private",
+  access: { passcodeEnv: "PARENT_PASSCODE" },
+  aliases: ["parent"],
+  memoriesFile: "parent_memories.md",
+  knowledgeFiles: ["parent.md"],
+  context: { maxInputTokens: 4000, knowledgeTokens: 1000 },
+};
+
+test("children don't inherit access, aliases, visibility or memoriesFile", () => {
+  const { doc, issues } = validateProfiles({
+    default: "parent",
+    profiles: { parent: base, child: { extends: "parent", visibility: "private", context: { knowledgeTokens: 500 } } },
+  });
+  assert.deepEqual(issues, []);
+
+  const child = resolveProfiles(doc).profiles.child;
+  assert.equal(child.visibility, "private");
+  assert.equal(child.access, undefined);
+  assert.equal(child.aliases, undefined);
+  assert.equal(child.memoriesFile, undefined);
+  assert.deepEqual(child.knowledgeFiles, ["parent.md"]);
+  assert.deepEqual(child.context, { maxInputTokens: 4000, knowledgeTokens: 500 });
+});
+
+test("a child of a private profile must set its visibility", () => {
+  const { issues } = validateProfiles({ default: "parent", profiles: { parent: base, child: { extends: "parent" } } });
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].level, "error");
+  assert.deepEqual(issues[0].path, ["profiles", "child"]);
+});
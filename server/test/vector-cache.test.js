@@ -0,0 +1,82 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { contentHash, loadVectorCache, saveVectorCache, embedChunks, createLocalEmbedder } from "../rag/embeddings.js";
+
+// Counts what it is asked to embed
+function countingEmbedder() {
+  const local = createLocalEmbedder({ dimensions: 16 });
+  const embedder = {
+    id: local.id,
+    calls: 0,
+    async embed(texts) {
+      embedder.calls += texts.length;
+      return local.embed(texts);
+    },
+  };
+  return embedder;
+}
+
+const dirs = [];
+after(() => Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempFile() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "vectors-"));
+  dirs.push(dir);
+  return path.join(dir, "cache", "vectors.json");
+}
+
+const chunks = [
+  { id: "a-1", source: "a.md", heading: "A", text: "first" },
+  { id: "b-1", source: "b.md", heading: "B", text: "second" },
+];
+
+test("contentHash depends on the embedder and the text", () => {
+  assert.equal(contentHash("x", "t"), contentHash("x", "t"));
+  assert.notEqual(contentHash("x", "t"), contentHash("y", "t"));
+  assert.notEqual(contentHash("x", "t"), contentHash("x", "u"));
+});
+
+test("a missing or corrupt cache file starts empty", async () => {
+  const file = await tempFile();
+  assert.deepEqual((await loadVectorCache(file)).entries, {});
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, "{not json");
+  assert.deepEqual((await loadVectorCache(file)).entries, {});
+});
+
+test("cached vectors are reused after a reload", async () => {
+  const file = await tempFile();
+  const embedder = countingEmbedder();
+
+  const first = await loadVectorCache(file);
+  const { vectors, embedded } = await embedChunks(chunks, embedder, first);
+  assert.equal(embedded, 2);
+  assert.equal(vectors.get(chunks[0]).length, 16);
+  await saveVectorCache(first);
+
+  const second = await loadVectorCache(file);
+  const again = await embedChunks(chunks, embedder, second);
+  assert.equal(again.embedded, 0);
+  assert.equal(embedder.calls, 2);
+  assert.deepEqual(again.vectors.get(chunks[1]), vectors.get(chunks[1]));
+});
+
+test("saving drops vectors of chunks that are gone", async () => {
+  const file = await tempFile();
+  const embedder = countingEmbedder();
+
+  const cache = await loadVectorCache(file);
+  await embedChunks(chunks, embedder, cache);
+  await saveVectorCache(cache);
+
+  const next = await loadVectorCache(file);
+  await embedChunks(chunks.slice(0, 1), embedder, next);
+  await saveVectorCache(next);
+
+  const saved = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.equal(Object.keys(saved).length, 1);
+});
@@ -0,0 +1,79 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import fs from "fs";
+
+import { watchKnowledge } from "../rag/watcher.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// fs.watch stand-in: records each watcher so the test can fire events on it
+function fakeWatch({ failFirstRetries = 0 } = {}) {
+  const created = [];
+  let calls = 0;
+  mock.method(fs, "watch", (dir, listener) => {
+    calls++;
+    if (created.length && calls - 1 <= failFirstRetries) throw new Error("EMFILE: too many open files");
+    const watcher = new EventEmitter();
+    watcher.listener = listener;
+    watcher.closed = false;
+    watcher.close = () => {
+      watcher.closed = true;
+    };
+    created.push(watcher);
+    return watcher;
+  });
+  return created;
+}
+
+test("bursts of changes arrive as one callback", async (t) => {
+  t.after(() => mock.restoreAll());
+  const created = fakeWatch();
+  const batches = [];
+  const watcher = watchKnowledge([{ dir: "/kb/knowledge", filter: (n) => n.endsWith(".md") }], {
+    debounceMs: 10,
+    onChange: (files) => batches.push(files),
+  });
+
+  created[0].listener("change", "a.md");
+  created[0].listener("change", "notes.txt");
+  created[0].listener("rename", "b.md");
+  await sleep(30);
+  watcher.close();
+
+  assert.deepEqual(batches, [["knowledge/a.md", "knowledge/b.md"]]);
+});
+
+test("a watcher that errors is re-created and a reload runs", async (t) => {
+  t.after(() => mock.restoreAll());
+  const created = fakeWatch({ failFirstRetries: 1 });
+  const batches = [];
+  const watcher = watchKnowledge([{ dir: "/kb/knowledge" }], {
+    debounceMs: 5,
+    retryMs: 10,
+    onChange: (files) => batches.push(files),
+  });
+
+  created[0].emit("error", new Error("EMFILE"));
+  assert.equal(created[0].closed, true);
+
+  // First retry fails, the second (after backoff) succeeds
+  await sleep(80);
+  assert.equal(created.length, 2);
+  assert.ok(batches.length >= 2);
+
+  created[1].listener("change", "c.md");
+  await sleep(20);
+  watcher.close();
+  assert.deepEqual(batches.at(-1), ["knowledge/c.md"]);
+});
+
+test("close stops pending retries", async (t) => {
+  t.after(() => mock.restoreAll());
+  const created = fakeWatch();
+  const watcher = watchKnowledge([{ dir: "/kb/knowledge" }], { retryMs: 10, onChange: () => {} });
+  created[0].emit("error", new Error("gone"));
+  watcher.close();
+  await sleep(30);
+  assert.equal(created.length, 1);
+});
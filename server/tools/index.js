@@ -0,0 +1,305 @@
+/* ================================
+   Assistant Tools
+   - Definitions exposed to the model (JSON schema)
+   - Argument validation before anything runs
+   - Tools that send email never run directly: they create a pending
+     action the visitor must confirm (POST /api/chat/actions/:id)
+   - schedule_meeting is checked against availability before the card is
+     shown, and again when the visitor confirms
+   - propose_memory only queues a memory for the owner to review, and is
+     only offered to profiles with a "memoriesFile"
+================================ */
+
+import crypto from "crypto";
+
+import { isEmailAddress } from "../mail/address.js";
+
+// Pending actions older than this can no longer be confirmed
+export const ACTION_TTL_MS = 30 * 60 * 1000;
+
+export const TOOL_DEFINITIONS = [
+  {
+    name: "get_availability",
+    description:
+      "Get the owner's working hours, timezone and the free meeting slots per day. Call before proposing meeting times and only offer times it lists.",
+    parameters: {
+      type: "object",
+      properties: {
+        from: { type: "string", maxLength: 10, description: "First day, YYYY-MM-DD (default: today)" },
+        to: { type: "string", maxLength: 10, description: "Last day, YYYY-MM-DD (default: a week after from, max 14 days)" },
+      },
+      required: [],
+    },
+  },
+  {
+    name: "get_pricing",
+    description: "Get current rates (hourly, project, consultation, retainer) and the list of services offered.",
+    parameters: {
+      type: "object",
+      properties: {
+        service: { type: "string", maxLength: 200, description: "Optional service the visitor asked about" },
+      },
+      required: [],
+    },
+  },
+  {
+    name: "schedule_meeting",
+    description:
+      "Request a meeting with the owner. Only call once you have the visitor's name, email, a free slot from get_availability and a short project description. The visitor must confirm before it is sent.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, maxLength: 100 },
+        email: { type: "string", format: "email", maxLength: 200 },
+        date: { type: "string", minLength: 10, maxLength: 10, description: "Day of the slot, YYYY-MM-DD" },
+        time: { type: "string", minLength: 5, maxLength: 5, description: "Slot start, HH:MM in the owner's timezone" },
+        projectDescription: { type: "string", minLength: 1, maxLength: 2000 },
+      },
+      required: ["name", "email", "date", "time", "projectDescription"],
+    },
+  },
+  {
+    name: "send_contact_message",
+    description:
+      "Send a message to the owner on the visitor's behalf. Only call once you have name, email, subject and message. The visitor must confirm before it is sent.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, maxLength: 100 },
+        email: { type: "string", format: "email", maxLength: 200 },
+        subject: { type: "string", minLength: 1, maxLength: 200 },
+        message: { type: "string", minLength: 1, maxLength: 5000 },
+      },
+      required: ["name", "email", "subject", "message"],
+    },
+  },
+  {
+    name: "propose_memory",
+    description:
+      "Suggest remembering something the visitor just shared about themselves or a shared memory, for future chats. The owner reviews it before it is saved. Only use the visitor's own words; never invent details.",
+    parameters: {
+      type: "object",
+      properties: {
+        memory: {
+          type: "string",
+          minLength: 1,
+          maxLength: 500,
+          description: "One or two plain sentences in the third person, e.g. 'Rohan and Sunny went to Goa in 2019.'",
+        },
+      },
+      required: ["memory"],
+    },
+  },
+];
+
+// Tools a profile only gets when it is set up for them
+const PROFILE_REQUIREMENTS = {
+  propose_memory: (profile) => Boolean(profile?.memoriesFile),
+};
+
+const CONFIRM_REQUIRED = new Set(["schedule_meeting", "send_contact_message"]);
+
+// Longest range get_availability returns (keeps the tool result small)
+const AVAILABILITY_TOOL_DAYS = 14;
+
+/**
+ * Validate args against a tool's (flat) JSON schema.
+ * Unknown keys are dropped; strings are trimmed.
+ * @returns {{ value: object, errors: string[] }}
+ */
+export function validateArgs(schema, args) {
+  const errors = [];
+  const value = {};
+  const input = args && typeof args === "object" && !Array.isArray(args) ? args : {};
+
+  for (const [key, rule] of Object.entries(schema.properties || {})) {
+    let v = input[key];
+    if (v === undefined || v === null || v === "") {
+      if (schema.required?.includes(key)) errors.push(`${key} is required`);
+      continue;
+    }
+    if (rule.type === "string") {
+      if (typeof v !== "string") {
+        errors.push(`${key} must be a string`);
+        continue;
+      }
+      v = v.trim();
+      if (rule.minLength && v.length < rule.minLength) errors.push(`${key} is required`);
+      if (rule.maxLength && v.length > rule.maxLength) errors.push(`${key} is too long (max ${rule.maxLength})`);
+      if (rule.format === "email" && !isEmailAddress(v)) errors.push(`${key} is not a valid email address`);
+    }
+    value[key] = v;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * @param {object} deps
+ *   - availability : availability engine (createAvailability)
+ *   - rates, services : static info for get_pricing
+ *   - prepareMeeting(args) : check the slot before the visitor sees the card;
+ *       returns the args to confirm, or throws (error.alternatives = free slots)
+ *   - scheduleMeeting(args, context), sendContactMessage(args, context) : queue the
+ *       real send; context = { session, idempotencyKey } (one key per confirmed action)
+ *   - proposeMemory(args, context) : queue a memory for review;
+ *       context = { session, profile, messages }
+ */
+export function createTools(deps) {
+  const byName = new Map(TOOL_DEFINITIONS.map((t) => [t.name, t]));
+
+  const handlers = {
+    get_availability: async (args) => {
+      const range = await deps.availability.slots({ from: args.from, to: args.to, maxDays: AVAILABILITY_TOOL_DAYS });
+      const { weeklyHours, preferredTimes, responseTime, timezoneName } = deps.availability.describe();
+      return {
+        timezone: `${range.timezone} (${timezoneName})`,
+        slotMinutes: range.slotMinutes,
+        weeklyHours,
+        preferredTimes,
+        responseTime,
+        // Free start times per day (owner's timezone)
+        days: range.days.map((d) => ({
+          date: d.date,
+          weekday: d.weekday,
+          ...(d.blackout ? { unavailable: d.blackout } : {}),
+          times: d.slots.map((slot) => slot.time),
+        })),
+      };
+    },
+    get_pricing: async (args) => ({ rates: deps.rates, services: deps.services, asked: args.service || null }),
+    schedule_meeting: (args, context) => deps.scheduleMeeting(args, context),
+    send_contact_message: (args, context) => deps.sendContactMessage(args, context),
+    propose_memory: (args, context) => deps.proposeMemory(args, context),
+  };
+
+  // Checks before a pending action is created
+  const prepare = {
+    schedule_meeting: (args) => deps.prepareMeeting(args),
+  };
+
+  return {
+    /**
+     * Tool definitions allowed for a profile ("tools": [...] in profiles.json;
+     * omitted = all tools the profile is set up for).
+     */
+    definitionsFor(profile) {
+      const allow = Array.isArray(profile?.tools) ? new Set(profile.tools) : null;
+      return TOOL_DEFINITIONS.filter(
+        (t) => (!allow || allow.has(t.name)) && (PROFILE_REQUIREMENTS[t.name]?.(profile) ?? true)
+      );
+    },
+
+    /**
+     * Run one model tool call.
+     * @param {object} context { session, allowed, profile, messages (this turn so far) }
+     * @returns {Promise<{ id, name, status, result, action? }>}
+     *   status: "ok" | "error" | "needs_confirmation"
+     */
+    async run(call, { session, allowed, profile, messages = [] }) {
+      const def = byName.get(call.name);
+      if (!def || (allowed && !allowed.some((t) => t.name === call.name))) {
+        return { id: call.id, name: call.name, status: "error", result: { error: `Unknown tool: ${call.name}` } };
+      }
+
+      const { value, errors } = validateArgs(def.parameters, call.arguments);
+      if (errors.length) {
+        return {
+          id: call.id,
+          name: call.name,
+          status: "error",
+          result: { error: "Invalid arguments", details: errors },
+        };
+      }
+
+      if (CONFIRM_REQUIRED.has(call.name)) {
+        let args = value;
+        try {
+          if (prepare[call.name]) args = await prepare[call.name](value);
+        } catch (error) {
+          return {
+            id: call.id,
+            name: call.name,
+            status: "error",
+            result: {
+              error: error?.message || String(error),
+              ...(error?.alternatives ? { alternatives: error.alternatives } : {}),
+            },
+          };
+        }
+
+        const action = {
+          id: crypto.randomUUID(),
+          tool: call.name,
+          args,
+          status: "pending",
+          createdAt: Date.now(),
+        };
+        session.pendingActions = [...(session.pendingActions || []), action].slice(-10);
+
+        return {
+          id: call.id,
+          name: call.name,
+          status: "needs_confirmation",
+          result: {
+            status: "awaiting_visitor_confirmation",
+            note: "Nothing has been sent yet. Ask the visitor to review the details card and press Confirm.",
+          },
+          action: publicAction(action),
+        };
+      }
+
+      try {
+        const result = await handlers[call.name](value, { session, profile, messages });
+        return { id: call.id, name: call.name, status: "ok", result };
+      } catch (error) {
+        return { id: call.id, name: call.name, status: "error", result: { error: error?.message || String(error) } };
+      }
+    },
+
+    /**
+     * Confirm or cancel a pending action stored on the session.
+     * @returns {Promise<object|null>} updated action, or null if not found
+     */
+    async resolveAction(session, actionId, decision) {
+      const action = (session.pendingActions || []).find((a) => a.id === actionId);
+      if (!action) return null;
+      // Failed sends may be retried; anything else is final
+      if (action.status !== "pending" && action.status !== "failed") return publicAction(action);
+
+      if (Date.now() - action.createdAt > ACTION_TTL_MS) {
+        action.status = "expired";
+        return publicAction(action);
+      }
+
+      delete action.error;
+      if (decision !== "confirm") {
+        action.status = "cancelled";
+        return publicAction(action);
+      }
+
+      // Guard against double-clicks sending twice
+      action.status = "sending";
+      try {
+        // Retrying a failed action reuses the key, so nothing is queued twice
+        action.result = await handlers[action.tool](action.args, { session, idempotencyKey: `action:${action.id}` });
+        action.status = "completed";
+      } catch (error) {
+        // A slot taken meanwhile won't come back; other failures can be retried
+        action.status = error?.code === "slot_unavailable" ? "unavailable" : "failed";
+        action.error = error?.message || String(error);
+      }
+      return publicAction(action);
+    },
+  };
+}
+
+function publicAction(action) {
+  return {
+    id: action.id,
+    tool: action.tool,
+    args: action.args,
+    status: action.status,
+    error: action.error,
+  };
+}
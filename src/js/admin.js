@@ -0,0 +1,873 @@
+/* ================================
+   Admin Console
+   - Knowledge editor with preview, profile editor, retrieval tester, leads
+     (reschedule / cancel meetings), memory proposals to approve/reject,
+     email outbox with re-send
+   - Talks to /api/admin/* with the httpOnly cookie from /api/admin/login
+================================ */
+
+const ADMIN_CONFIG = {
+    apiBase: '/api/admin',
+    // Profile keys edited by dedicated fields; everything else goes in the JSON box
+    profileFields: ['name', 'tone', 'visibility', 'knowledgeFiles', 'systemPrompt']
+};
+
+// Console state
+const adminState = {
+    knowledgeFiles: [],
+    currentFile: null, // null = unsaved new file
+    profilesDoc: { default: '', profiles: {} },
+    currentProfile: null // null = unsaved new profile
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    initAdmin();
+});
+
+async function initAdmin() {
+    document.getElementById('login-form').addEventListener('submit', login);
+    document.getElementById('logout-btn').addEventListener('click', logout);
+    document.getElementById('reindex-btn').addEventListener('click', reindex);
+
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+
+    initKnowledgePanel();
+    initProfilesPanel();
+    initRetrievalPanel();
+    initLeadsPanel();
+    initMemoriesPanel();
+    initOutboxPanel();
+
+    try {
+        await adminFetch('/');
+        await showConsole();
+    } catch (error) {
+        showLogin(error.status === 503 ? error.message : '');
+    }
+}
+
+/* ---------- API ---------- */
+
+async function adminFetch(pathname, options = {}) {
+    const response = await fetch(ADMIN_CONFIG.apiBase + pathname, {
+        method: options.method || 'GET',
+        headers: options.body ? { 'Content-Type': 'application/json' } : {},
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        credentials: 'same-origin'
+    });
+
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (error) {
+        // non-JSON error page
+    }
+
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.error || `Request failed (${response.status})`);
+        error.status = response.status;
+        if (response.status === 401 && pathname !== '/login') showLogin('Your session expired. Log in again.');
+        throw error;
+    }
+    return data;
+}
+
+function setStatus(text) {
+    document.getElementById('admin-status').textContent = text;
+}
+
+function reportError(error) {
+    setStatus(`⚠️ ${error.message}`);
+}
+
+/* ---------- Login ---------- */
+
+function showLogin(message) {
+    document.getElementById('admin-app').hidden = true;
+    document.getElementById('admin-login').hidden = false;
+    document.getElementById('login-error').textContent = message || '';
+    document.getElementById('login-token').focus();
+}
+
+async function showConsole() {
+    document.getElementById('admin-login').hidden = true;
+    document.getElementById('admin-app').hidden = false;
+    await Promise.all([loadKnowledgeList(), loadProfiles()]);
+    await refreshStatus();
+}
+
+async function login(event) {
+    event.preventDefault();
+    const input = document.getElementById('login-token');
+
+    try {
+        await adminFetch('/login', { method: 'POST', body: { token: input.value } });
+        input.value = '';
+        await showConsole();
+    } catch (error) {
+        document.getElementById('login-error').textContent = error.message;
+    }
+}
+
+async function logout() {
+    try {
+        await adminFetch('/logout', { method: 'POST' });
+    } finally {
+        showLogin('');
+    }
+}
+
+async function refreshStatus() {
+    const info = await adminFetch('/');
+    setStatus(`Knowledge v${info.knowledgeVersion} · ${info.chunks} chunks`);
+}
+
+async function reindex() {
+    try {
+        const { reload } = await adminFetch('/reindex', { method: 'POST' });
+        setStatus(reload.changed ? `Reindexed → v${reload.version}` : `Up to date (v${reload.version})`);
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+// Reload result from a save: { changed, version, files }
+function reportSaved(what, result) {
+    setStatus(`${what} saved${result.reload ? ` · knowledge v${result.reload.version}` : ''}`);
+}
+
+function showTab(name) {
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+    document.querySelectorAll('.admin-panel').forEach(panel => {
+        panel.hidden = panel.dataset.panel !== name;
+    });
+    if (name === 'leads') loadLeads();
+    if (name === 'memories') loadMemories();
+    if (name === 'outbox') loadOutbox();
+}
+
+/* ---------- Knowledge ---------- */
+
+function initKnowledgePanel() {
+    const content = document.getElementById('knowledge-content');
+    content.addEventListener('input', () => renderPreview(content.value));
+
+    document.getElementById('knowledge-new').addEventListener('click', () => openKnowledgeFile(null));
+    document.getElementById('knowledge-save').addEventListener('click', saveKnowledgeFile);
+    document.getElementById('knowledge-delete').addEventListener('click', deleteKnowledgeFile);
+    document.getElementById('knowledge-restore').addEventListener('click', restoreKnowledgeRevision);
+}
+
+async function loadKnowledgeList() {
+    const { files } = await adminFetch('/knowledge');
+    adminState.knowledgeFiles = files;
+
+    const list = document.getElementById('knowledge-list');
+    list.innerHTML = '';
+    files.forEach(file => {
+        const item = document.createElement('li');
+        item.textContent = file.name;
+        item.title = `${file.size} bytes · ${new Date(file.updatedAt).toLocaleString()}`;
+        item.classList.toggle('active', file.name === adminState.currentFile);
+        item.addEventListener('click', () => openKnowledgeFile(file.name));
+        list.appendChild(item);
+    });
+
+    renderKnowledgeCheckboxes();
+}
+
+async function openKnowledgeFile(name) {
+    adminState.currentFile = name;
+    const nameInput = document.getElementById('knowledge-name');
+    const content = document.getElementById('knowledge-content');
+
+    nameInput.disabled = Boolean(name);
+    document.getElementById('knowledge-delete').disabled = !name;
+
+    if (!name) {
+        nameInput.value = '';
+        content.value = '';
+        renderPreview('');
+        renderRevisions([]);
+        nameInput.focus();
+    } else {
+        try {
+            const file = await adminFetch(`/knowledge/${encodeURIComponent(name)}`);
+            nameInput.value = file.name;
+            content.value = file.content;
+            renderPreview(file.content);
+            await loadKnowledgeRevisions(name);
+        } catch (error) {
+            reportError(error);
+        }
+    }
+
+    document.querySelectorAll('#knowledge-list li').forEach(item => {
+        item.classList.toggle('active', item.textContent === name);
+    });
+}
+
+async function saveKnowledgeFile() {
+    const name = adminState.currentFile || document.getElementById('knowledge-name').value.trim();
+    const content = document.getElementById('knowledge-content').value;
+
+    try {
+        const result = adminState.currentFile
+            ? await adminFetch(`/knowledge/${encodeURIComponent(name)}`, { method: 'PUT', body: { content: content } })
+            : await adminFetch('/knowledge', { method: 'POST', body: { name: name, content: content } });
+
+        reportSaved(name, result);
+        adminState.currentFile = name;
+        await loadKnowledgeList();
+        await openKnowledgeFile(name);
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function deleteKnowledgeFile() {
+    const name = adminState.currentFile;
+    if (!name || !confirm(`Delete ${name}? (It can be restored from its revisions.)`)) return;
+
+    try {
+        await adminFetch(`/knowledge/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        setStatus(`${name} deleted`);
+        await loadKnowledgeList();
+        await openKnowledgeFile(null);
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function loadKnowledgeRevisions(name) {
+    const { revisions } = await adminFetch(`/knowledge/${encodeURIComponent(name)}/revisions`);
+    renderRevisions(revisions);
+}
+
+function renderRevisions(revisions) {
+    const select = document.getElementById('knowledge-revisions');
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = revisions.length ? `Revisions (${revisions.length})` : 'No revisions';
+    select.appendChild(placeholder);
+
+    revisions.forEach(rev => {
+        const option = document.createElement('option');
+        option.value = rev.id;
+        option.textContent = `${new Date(rev.savedAt).toLocaleString()} · ${rev.size} bytes`;
+        select.appendChild(option);
+    });
+
+    document.getElementById('knowledge-restore').disabled = !revisions.length;
+}
+
+async function restoreKnowledgeRevision() {
+    const name = adminState.currentFile;
+    const rev = document.getElementById('knowledge-revisions').value;
+    if (!name || !rev || !confirm('Replace the current content with this revision?')) return;
+
+    try {
+        const result = await adminFetch(
+            `/knowledge/${encodeURIComponent(name)}/revisions/${encodeURIComponent(rev)}/restore`,
+            { method: 'POST' }
+        );
+        reportSaved(`${name} restored`, result);
+        await openKnowledgeFile(name);
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+function renderPreview(markdown) {
+    document.getElementById('knowledge-preview').innerHTML = markdownToHtml(markdown);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Small markdown subset for the preview: headings, lists, code fences,
+// bold/italic/inline code. Input is escaped first.
+function markdownToHtml(markdown) {
+    const inline = (text) => escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)\*(?!\s)(.+?)\*(?=\W|$)/g, '$1<em>$2</em>');
+
+    const html = [];
+    let list = null;
+    let paragraph = [];
+    let fence = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) html.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const closeList = () => {
+        if (list) html.push(`</${list}>`);
+        list = null;
+    };
+
+    String(markdown || '').split('\n').forEach(line => {
+        if (fence !== null) {
+            if (/^\s*```/.test(line)) {
+                html.push(`<pre><code>${escapeHtml(fence.join('\n'))}</code></pre>`);
+                fence = null;
+            } else {
+                fence.push(line);
+            }
+            return;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+        const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            closeList();
+            fence = [];
+        } else if (heading) {
+            flushParagraph();
+            closeList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const type = bullet ? 'ul' : 'ol';
+            if (list !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                list = type;
+            }
+            html.push(`<li>${inline((bullet || numbered)[1])}</li>`);
+        } else if (!line.trim()) {
+            flushParagraph();
+            closeList();
+        } else {
+            closeList();
+            paragraph.push(line);
+        }
+    });
+
+    if (fence !== null) html.push(`<pre><code>${escapeHtml(fence.join('\n'))}</code></pre>`);
+    flushParagraph();
+    closeList();
+    return html.join('\n');
+}
+
+/* ---------- Profiles ---------- */
+
+function initProfilesPanel() {
+    document.getElementById('profile-new').addEventListener('click', () => openProfile(null));
+    document.getElementById('profile-form').addEventListener('submit', saveProfile);
+    document.getElementById('profile-default').addEventListener('click', makeDefaultProfile);
+    document.getElementById('profile-delete').addEventListener('click', deleteProfile);
+    document.getElementById('profile-all-knowledge').addEventListener('change', (event) => {
+        document.getElementById('profile-knowledge-files').classList.toggle('disabled', event.target.checked);
+    });
+}
+
+async function loadProfiles() {
+    const doc = await adminFetch('/profiles');
+    adminState.profilesDoc = { default: doc.default, profiles: doc.profiles };
+
+    const list = document.getElementById('profile-list');
+    list.innerHTML = '';
+    Object.entries(doc.profiles).forEach(([id, profile]) => {
+        const item = document.createElement('li');
+        item.dataset.id = id;
+        item.textContent = `${id}${id === doc.default ? ' ★' : ''}${profile.visibility === 'private' ? ' 🔒' : ''}`;
+        item.classList.toggle('active', id === adminState.currentProfile);
+        item.addEventListener('click', () => openProfile(id));
+        list.appendChild(item);
+    });
+
+    const select = document.getElementById('retrieve-profile');
+    const selected = select.value;
+    select.innerHTML = '';
+    Object.keys(doc.profiles).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id;
+        select.appendChild(option);
+    });
+    select.value = selected || doc.default;
+
+    if (adminState.currentProfile && doc.profiles[adminState.currentProfile]) {
+        openProfile(adminState.currentProfile);
+    } else if (!adminState.currentProfile) {
+        openProfile(doc.default in doc.profiles ? doc.default : null);
+    }
+}
+
+function renderKnowledgeCheckboxes(selected) {
+    const container = document.getElementById('profile-knowledge-files');
+    const checked = selected || [...container.querySelectorAll('input:checked')].map(input => input.value);
+    container.innerHTML = '';
+
+    adminState.knowledgeFiles.forEach(file => {
+        const label = document.createElement('label');
+        label.className = 'admin-inline';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = file.name;
+        input.checked = checked.includes(file.name);
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${file.name}`));
+        container.appendChild(label);
+    });
+}
+
+function openProfile(id) {
+    adminState.currentProfile = id;
+    const profile = (id && adminState.profilesDoc.profiles[id]) || {};
+
+    const idInput = document.getElementById('profile-id');
+    idInput.value = id || '';
+    idInput.disabled = Boolean(id);
+
+    document.getElementById('profile-name').value = profile.name || '';
+    document.getElementById('profile-tone').value = profile.tone || '';
+    document.getElementById('profile-visibility').value = profile.visibility === 'private' ? 'private' : 'public';
+    document.getElementById('profile-system-prompt').value = profile.systemPrompt || '';
+
+    // No knowledgeFiles key = the profile searches every file
+    const allFiles = !Array.isArray(profile.knowledgeFiles);
+    document.getElementById('profile-all-knowledge').checked = allFiles;
+    document.getElementById('profile-knowledge-files').classList.toggle('disabled', allFiles);
+    renderKnowledgeCheckboxes(allFiles ? [] : profile.knowledgeFiles);
+
+    const extra = {};
+    Object.keys(profile).forEach(key => {
+        if (!ADMIN_CONFIG.profileFields.includes(key)) extra[key] = profile[key];
+    });
+    document.getElementById('profile-extra').value = JSON.stringify(extra, null, 2);
+
+    document.getElementById('profile-delete').disabled = !id || id === adminState.profilesDoc.default;
+    document.getElementById('profile-default').disabled = !id || id === adminState.profilesDoc.default;
+
+    document.querySelectorAll('#profile-list li').forEach(item => {
+        item.classList.toggle('active', item.dataset.id === id);
+    });
+}
+
+function readProfileForm() {
+    let extra = {};
+    const raw = document.getElementById('profile-extra').value.trim();
+    if (raw) {
+        extra = JSON.parse(raw); // caller reports syntax errors
+        if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+            throw new Error('Other settings must be a JSON object');
+        }
+    }
+
+    const profile = { ...extra };
+    const text = (id) => document.getElementById(id).value.trim();
+
+    if (text('profile-name')) profile.name = text('profile-name');
+    if (text('profile-tone')) profile.tone = text('profile-tone');
+    profile.visibility = document.getElementById('profile-visibility').value;
+    if (!document.getElementById('profile-all-knowledge').checked) {
+        profile.knowledgeFiles = [...document.querySelectorAll('#profile-knowledge-files input:checked')]
+            .map(input => input.value);
+    }
+    if (text('profile-system-prompt')) profile.systemPrompt = text('profile-system-prompt');
+
+    return profile;
+}
+
+async function saveProfile(event) {
+    event.preventDefault();
+    const id = adminState.currentProfile || document.getElementById('profile-id').value.trim().toLowerCase();
+
+    try {
+        const profile = readProfileForm();
+        const result = await adminFetch(`/profiles/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: { profile: profile }
+        });
+        reportSaved(`Profile ${id}`, result);
+        adminState.currentProfile = id;
+        await loadProfiles();
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function makeDefaultProfile() {
+    const id = adminState.currentProfile;
+    if (!id) return;
+
+    try {
+        const result = await adminFetch('/profiles', { method: 'PATCH', body: { default: id } });
+        reportSaved('Default profile', result);
+        await loadProfiles();
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function deleteProfile() {
+    const id = adminState.currentProfile;
+    if (!id || !confirm(`Delete profile ${id}?`)) return;
+
+    try {
+        await adminFetch(`/profiles/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        setStatus(`Profile ${id} deleted`);
+        adminState.currentProfile = null;
+        await loadProfiles();
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/* ---------- Retrieval tester ---------- */
+
+function initRetrievalPanel() {
+    document.getElementById('retrieve-form').addEventListener('submit', runRetrieval);
+}
+
+async function runRetrieval(event) {
+    event.preventDefault();
+    const query = document.getElementById('retrieve-query').value.trim();
+    const profileId = document.getElementById('retrieve-profile').value;
+    const container = document.getElementById('retrieve-results');
+
+    try {
+        const data = await adminFetch('/retrieve', { method: 'POST', body: { query: query, profileId: profileId } });
+        const inPrompt = data.results.filter(r => r.inPrompt).length;
+
+        document.getElementById('retrieve-summary').textContent =
+            `${data.results.length} matches for "${data.profileId}" · ${inPrompt} fit the knowledge budget` +
+            (data.embedder ? ` · hybrid (${data.embedder})` : ' · keyword only');
+
+        container.innerHTML = '';
+        data.results.forEach((result, i) => {
+            const card = document.createElement('details');
+            card.className = `admin-result${result.inPrompt ? ' in-prompt' : ''}`;
+
+            const summary = document.createElement('summary');
+            const scores = [`score ${result.score}`];
+            if (result.keywordScore !== null) scores.push(`keyword ${result.keywordScore}`);
+            if (result.vectorScore !== null) scores.push(`vector ${result.vectorScore}`);
+            summary.textContent = `${i + 1}. ${result.source}${result.heading ? ` — ${result.heading}` : ''} · ${scores.join(' · ')} · ~${result.tokens} tokens${result.inPrompt ? '' : ' · over budget'}`;
+            card.appendChild(summary);
+
+            const text = document.createElement('pre');
+            text.textContent = result.text;
+            card.appendChild(text);
+
+            container.appendChild(card);
+        });
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/* ---------- Leads ---------- */
+
+function initLeadsPanel() {
+    document.getElementById('leads-type').addEventListener('change', loadLeads);
+    document.getElementById('leads-refresh').addEventListener('click', loadLeads);
+}
+
+async function loadLeads() {
+    const type = document.getElementById('leads-type').value;
+    const body = document.getElementById('leads-body');
+
+    try {
+        const data = await adminFetch(`/leads?limit=200${type ? `&type=${encodeURIComponent(type)}` : ''}`);
+        document.getElementById('leads-summary').textContent = `${data.total} total`;
+
+        body.innerHTML = '';
+        data.leads.forEach(lead => {
+            const row = document.createElement('tr');
+            const d = lead.data || {};
+            const cancelled = lead.calendar && lead.calendar.status === 'cancelled';
+            const details = lead.type === 'meeting'
+                ? `${d.preferredDateTime || ''}${cancelled ? ' (cancelled)' : ''}\n${d.projectDescription || ''}`
+                : `${d.subject || ''}\n${d.message || ''}`;
+
+            [
+                new Date(lead.createdAt).toLocaleString(),
+                lead.type,
+                `${d.name || ''} <${d.email || ''}>`,
+                details,
+                lead.source || '',
+                lead.queued ? 'queued' : lead.delivered ? 'sent' : `not sent${lead.error ? `: ${lead.error}` : ''}`
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            if (lead.type === 'meeting' && d.slotStart && !cancelled) renderMeetingActions(lead, actions);
+            row.appendChild(actions);
+
+            body.appendChild(row);
+        });
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+function renderMeetingActions(lead, cell) {
+    cell.innerHTML = '';
+
+    const reschedule = document.createElement('button');
+    reschedule.type = 'button';
+    reschedule.className = 'admin-btn';
+    reschedule.textContent = 'Reschedule';
+    reschedule.addEventListener('click', () => pickMeetingSlot(lead, cell));
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'admin-btn danger';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => cancelMeeting(lead));
+
+    cell.appendChild(reschedule);
+    cell.appendChild(cancel);
+}
+
+// Free slots for the next two weeks, from the public availability endpoint
+async function pickMeetingSlot(lead, cell) {
+    try {
+        const from = new Date().toISOString().slice(0, 10);
+        const to = new Date(Date.now() + 13 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const response = await fetch(`/api/availability?from=${from}&to=${to}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+
+        const select = document.createElement('select');
+        data.days.forEach(day => day.slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.start;
+            option.textContent = slot.label;
+            select.appendChild(option);
+        }));
+        if (!select.options.length) {
+            setStatus('No free slots in the next two weeks');
+            return;
+        }
+
+        const save = document.createElement('button');
+        save.type = 'button';
+        save.className = 'admin-btn primary';
+        save.textContent = 'Move';
+        save.addEventListener('click', () => rescheduleMeeting(lead, select.value));
+
+        const back = document.createElement('button');
+        back.type = 'button';
+        back.className = 'admin-btn';
+        back.textContent = 'Back';
+        back.addEventListener('click', () => renderMeetingActions(lead, cell));
+
+        cell.innerHTML = '';
+        cell.appendChild(select);
+        cell.appendChild(save);
+        cell.appendChild(back);
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function rescheduleMeeting(lead, slotStart) {
+    try {
+        const result = await adminFetch(`/meetings/${encodeURIComponent(lead.id)}/reschedule`, {
+            method: 'POST',
+            body: { slotStart: slotStart }
+        });
+        setStatus(`Meeting moved to ${result.lead.data.preferredDateTime} · updated invites queued`);
+        await loadLeads();
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function cancelMeeting(lead) {
+    const d = lead.data || {};
+    if (!confirm(`Cancel the meeting with ${d.name} on ${d.preferredDateTime}? They'll get a cancellation email.`)) return;
+    const reason = prompt('Reason for the cancellation email (optional):', '');
+    if (reason === null) return;
+
+    try {
+        await adminFetch(`/meetings/${encodeURIComponent(lead.id)}/cancel`, { method: 'POST', body: { reason: reason } });
+        setStatus('Meeting cancelled · cancellation invites queued');
+        await loadLeads();
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/* ---------- Memories ---------- */
+
+function initMemoriesPanel() {
+    document.getElementById('memories-status').addEventListener('change', loadMemories);
+    document.getElementById('memories-refresh').addEventListener('click', loadMemories);
+}
+
+async function loadMemories() {
+    const status = document.getElementById('memories-status').value;
+    const list = document.getElementById('memories-list');
+
+    try {
+        const data = await adminFetch(`/memories?limit=200${status ? `&status=${encodeURIComponent(status)}` : ''}`);
+        document.getElementById('memories-summary').textContent = `${data.total} ${status || 'total'}`;
+
+        list.innerHTML = '';
+        data.proposals.forEach(proposal => list.appendChild(renderMemory(proposal)));
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+function renderMemory(proposal) {
+    const card = document.createElement('div');
+    card.className = 'admin-result admin-memory';
+
+    const heading = document.createElement('strong');
+    heading.textContent = `${proposal.profileName || proposal.profileId} → ${proposal.memoriesFile}`;
+    card.appendChild(heading);
+
+    const meta = document.createElement('div');
+    meta.className = 'admin-muted';
+    meta.textContent = `${new Date(proposal.createdAt).toLocaleString()} · ${proposal.status}` +
+        (proposal.decidedAt ? ` ${new Date(proposal.decidedAt).toLocaleString()}` : '');
+    card.appendChild(meta);
+
+    const pending = proposal.status === 'pending';
+    const text = document.createElement(pending ? 'textarea' : 'p');
+    if (pending) {
+        text.rows = 2;
+        text.value = proposal.text;
+    } else {
+        text.textContent = proposal.text;
+    }
+    card.appendChild(text);
+
+    if (proposal.snippet && proposal.snippet.length) {
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = 'Conversation';
+        const pre = document.createElement('pre');
+        pre.textContent = proposal.snippet.map(m => `${m.role}: ${m.content}`).join('\n\n');
+        details.appendChild(summary);
+        details.appendChild(pre);
+        card.appendChild(details);
+    }
+
+    if (pending) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'admin-toolbar';
+
+        const approve = document.createElement('button');
+        approve.type = 'button';
+        approve.className = 'admin-btn primary';
+        approve.textContent = 'Approve';
+        approve.addEventListener('click', () => decideMemory(proposal.id, 'approve', { text: text.value }));
+
+        const reject = document.createElement('button');
+        reject.type = 'button';
+        reject.className = 'admin-btn danger';
+        reject.textContent = 'Reject';
+        reject.addEventListener('click', () => decideMemory(proposal.id, 'reject', {}));
+
+        toolbar.appendChild(approve);
+        toolbar.appendChild(reject);
+        card.appendChild(toolbar);
+    }
+
+    return card;
+}
+
+async function decideMemory(id, decision, body) {
+    try {
+        const result = await adminFetch(`/memories/${encodeURIComponent(id)}/${decision}`, { method: 'POST', body: body });
+        if (decision === 'approve') reportSaved(result.proposal.memoriesFile, result);
+        else setStatus('Memory rejected');
+        await loadMemories();
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/* ---------- Outbox ---------- */
+
+function initOutboxPanel() {
+    document.getElementById('outbox-status').addEventListener('change', loadOutbox);
+    document.getElementById('outbox-refresh').addEventListener('click', loadOutbox);
+}
+
+function outboxStatusText(entry) {
+    if (entry.status === 'sent') return `sent ${new Date(entry.sentAt).toLocaleString()}${entry.transport ? ` via ${entry.transport}` : ''}`;
+    const attempts = entry.attempts ? ` · ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}` : '';
+    const next = entry.status === 'pending' && entry.nextAttemptAt
+        ? ` · next ${new Date(entry.nextAttemptAt).toLocaleString()}`
+        : '';
+    return `${entry.status}${attempts}${next}${entry.lastError ? `\n${entry.lastError}` : ''}`;
+}
+
+async function loadOutbox() {
+    const status = document.getElementById('outbox-status').value;
+    const body = document.getElementById('outbox-body');
+
+    try {
+        const data = await adminFetch(`/outbox?limit=200${status ? `&status=${encodeURIComponent(status)}` : ''}`);
+        document.getElementById('outbox-summary').textContent = `${data.total} ${status || 'total'}`;
+
+        body.innerHTML = '';
+        data.entries.forEach(entry => {
+            const row = document.createElement('tr');
+
+            [
+                new Date(entry.createdAt).toLocaleString(),
+                entry.label || '',
+                entry.to,
+                entry.subject,
+                outboxStatusText(entry)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            if (entry.status === 'failed' || entry.status === 'pending') {
+                const resend = document.createElement('button');
+                resend.type = 'button';
+                resend.className = 'admin-btn';
+                resend.textContent = entry.status === 'failed' ? 'Resend' : 'Send now';
+                resend.addEventListener('click', () => retryOutbox(entry.id));
+                actions.appendChild(resend);
+            }
+            row.appendChild(actions);
+
+            body.appendChild(row);
+        });
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+async function retryOutbox(id) {
+    try {
+        await adminFetch(`/outbox/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+        setStatus('Email queued again');
+        await loadOutbox();
+    } catch (error) {
+        reportError(error);
+    }
+}
@@ -6,7 +6,15 @@
 // Configuration - These will be set from environment variables on the server
 const CHATBOT_CONFIG = {
     apiEndpoint: '/api/chat', // server calls OpenAI; no API keys in the browser
-    schedulingEndpoint: '/api/schedule-meeting',
+    streaming: true, // render replies token-by-token (SSE); falls back to JSON automatically
+    sessionEndpoint: '/api/chat/session', // server keeps the transcript; we only keep its id
+    sessionStorageKey: 'chatSessionId',
+    unlockEndpoint: '/api/profiles/unlock', // passcode / invite link -> private profile token
+    profileStorageKey: 'chatProfileAccess',
+    profilesEndpoint: '/api/profiles', // public profiles for the picker
+    profileSelectionKey: 'chatProfileId', // sessionStorage: who this tab is chatting with
+    showProfilePicker: true, // only appears when there is more than one profile to pick
+    actionsEndpoint: '/api/chat/actions', // confirm/cancel what the assistant prepared (meetings, messages)
     
     // Sankalp's professional information for the AI
     ownerInfo: {
@@ -33,14 +41,7 @@ const CHATBOT_CONFIG = {
             tools: ['Git', 'Docker', 'AWS', 'Blender', 'Figma', 'Stripe', 'Mailgun']
         },
         
-        // Availability - Update this based on your schedule
-        availability: {
-            timezone: 'CST (Central Standard Time)',
-            workingHours: '9:00 AM - 6:00 PM CST',
-            workingDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-            preferredMeetingTimes: ['10:00 AM', '2:00 PM', '4:00 PM'],
-            responseTime: 'Within 24 hours'
-        },
+        // Availability lives on the server: server/availability.json (GET /api/availability)
         
         // Rates - Update with your actual rates
         rates: {
@@ -65,15 +66,14 @@ const CHATBOT_CONFIG = {
 };
 
 // Chatbot state
-let conversationHistory = [];
-let lastBotMessage = '';
-let isCollectingMeetingInfo = false;
-let meetingData = {
-    name: '',
-    email: '',
-    preferredDateTime: '',
-    projectDescription: ''
-};
+// Same rule as the server (server/profiles/schema.js)
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+let sessionId = loadSessionId();
+let profileAccess = loadProfileAccess(); // { profileId, token, expiresAt, profile } for a private profile
+let selectedProfileId = loadSelectedProfile(); // null = the server's default profile
+let defaultProfileId = null;
+let profileCards = {}; // id -> { id, name, title, avatar, greeting, quickActions }
 
 // Initialize chatbot
 document.addEventListener('DOMContentLoaded', () => {
@@ -83,7 +83,8 @@ document.addEventListener('DOMContentLoaded', () => {
 function initChatbot() {
     const inputField = document.getElementById('chatbot-input-field');
     const sendBtn = document.getElementById('chatbot-send');
-    const quickActions = document.querySelectorAll('.quick-action');
+    const quickActions = document.querySelector('.chatbot-quick-actions');
+    const picker = document.getElementById('chatbot-profile-picker');
     
     // Send message on button click
     sendBtn.addEventListener('click', sendMessage);
@@ -95,40 +96,260 @@ function initChatbot() {
         }
     });
     
-    // Quick action buttons
-    quickActions.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const message = btn.dataset.message;
-            inputField.value = message;
-            sendMessage();
+    // Quick action buttons (re-rendered per profile, so delegate)
+    quickActions.addEventListener('click', (e) => {
+        const btn = e.target.closest('.quick-action');
+        if (!btn) return;
+        inputField.value = btn.dataset.message;
+        sendMessage();
+    });
+
+    picker.addEventListener('change', () => selectProfile(picker.value));
+
+    // Profile first: picking a different one starts a fresh conversation
+    initProfiles().finally(restoreSession);
+}
+
+function loadSessionId() {
+    try {
+        return localStorage.getItem(CHATBOT_CONFIG.sessionStorageKey) || null;
+    } catch (error) {
+        return null; // storage blocked (private mode) -> cookie still works
+    }
+}
+
+function saveSessionId(id) {
+    if (!id || id === sessionId) return;
+    sessionId = id;
+    try {
+        localStorage.setItem(CHATBOT_CONFIG.sessionStorageKey, id);
+    } catch (error) {
+        // ignore
+    }
+}
+
+function loadProfileAccess() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CHATBOT_CONFIG.profileStorageKey) || 'null');
+        if (saved && saved.token && Date.parse(saved.expiresAt) > Date.now()) return saved;
+    } catch (error) {
+        // ignore
+    }
+    return null;
+}
+
+function saveProfileAccess(access) {
+    profileAccess = access;
+    try {
+        if (access) localStorage.setItem(CHATBOT_CONFIG.profileStorageKey, JSON.stringify(access));
+        else localStorage.removeItem(CHATBOT_CONFIG.profileStorageKey);
+    } catch (error) {
+        // ignore
+    }
+}
+
+function loadSelectedProfile() {
+    try {
+        return sessionStorage.getItem(CHATBOT_CONFIG.profileSelectionKey) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveSelectedProfile(id) {
+    selectedProfileId = id;
+    try {
+        if (id) sessionStorage.setItem(CHATBOT_CONFIG.profileSelectionKey, id);
+        else sessionStorage.removeItem(CHATBOT_CONFIG.profileSelectionKey);
+    } catch (error) {
+        // ignore
+    }
+}
+
+// Invite link first, then ?profile=<id>, then whatever this tab picked before
+async function initProfiles() {
+    await redeemInviteFromUrl();
+    await loadProfileCards();
+
+    const requested = new URL(window.location.href).searchParams.get('profile');
+    if (requested) {
+        const id = requested.trim().toLowerCase();
+        if (profileCards[id]) {
+            await selectProfile(id);
+        } else if (PROFILE_ID_RE.test(id)) {
+            addMessage(`I couldn't open the "${id}" chat. If it's private, use your invite link or type /unlock ${id} <passcode>.`, 'bot');
+        } else {
+            addMessage("I couldn't open that chat link.", 'bot');
+        }
+    }
+
+    if (selectedProfileId && !profileCards[selectedProfileId]) saveSelectedProfile(null);
+    renderProfilePicker();
+    applyProfileCard(profileCards[selectedProfileId || defaultProfileId]);
+}
+
+async function loadProfileCards() {
+    profileCards = {};
+    try {
+        const response = await fetch(CHATBOT_CONFIG.profilesEndpoint);
+        const data = await response.json();
+        defaultProfileId = data.default || null;
+        (data.cards || []).forEach(card => {
+            profileCards[card.id] = card;
+        });
+    } catch (error) {
+        console.error('Profiles error:', error);
+    }
+    if (profileAccess && profileAccess.profile) profileCards[profileAccess.profileId] = profileAccess.profile;
+}
+
+function renderProfilePicker() {
+    const picker = document.getElementById('chatbot-profile-picker');
+    const cards = Object.values(profileCards);
+
+    picker.innerHTML = '';
+    cards.forEach(card => {
+        const option = document.createElement('option');
+        option.value = card.id;
+        option.textContent = card.name;
+        picker.appendChild(option);
+    });
+    picker.value = selectedProfileId || defaultProfileId || '';
+    picker.hidden = !CHATBOT_CONFIG.showProfilePicker || cards.length < 2;
+}
+
+// Header avatar/title and quick actions follow the active profile
+function applyProfileCard(card) {
+    if (!card) return;
+
+    document.querySelector('.chatbot-avatar span').textContent = card.avatar;
+    document.querySelector('.chatbot-title h4').textContent = card.title;
+
+    if (card.quickActions.length) {
+        const container = document.querySelector('.chatbot-quick-actions');
+        container.innerHTML = '';
+        card.quickActions.forEach(action => {
+            const btn = document.createElement('button');
+            btn.className = 'quick-action';
+            btn.dataset.message = action.message;
+            btn.textContent = action.label;
+            container.appendChild(btn);
+        });
+    }
+
+    // Swap the greeting while the conversation hasn't started
+    const messages = document.getElementById('chatbot-messages');
+    const greeting = messages.querySelector('[data-greeting]');
+    if (greeting && card.greeting && messages.children.length === 1) {
+        greeting.querySelector('.message-content').innerHTML = `<p>${formatMessage(card.greeting)}</p>`;
+    }
+}
+
+// Switching profiles starts a new conversation (personas don't share a transcript)
+async function selectProfile(id) {
+    const current = selectedProfileId || defaultProfileId;
+    saveSelectedProfile(id === defaultProfileId ? null : id);
+    renderProfilePicker();
+    if (id === current) return;
+
+    await endSession();
+    const card = profileCards[id];
+    const messages = document.getElementById('chatbot-messages');
+    messages.innerHTML = '';
+    const greeting = addMessage(card && card.greeting ? card.greeting : 'Hi! How can I help you today?', 'bot');
+    greeting.setAttribute('data-greeting', '');
+    applyProfileCard(card);
+}
+
+async function endSession() {
+    if (!sessionId) return;
+    try {
+        await fetch(CHATBOT_CONFIG.sessionEndpoint, {
+            method: 'DELETE',
+            headers: { 'X-Session-Id': sessionId }
         });
+    } catch (error) {
+        // ignore: the old session just expires
+    }
+    sessionId = null;
+    try {
+        localStorage.removeItem(CHATBOT_CONFIG.sessionStorageKey);
+    } catch (error) {
+        // ignore
+    }
+}
+
+// Exchange a passcode or invite for a private profile token
+async function unlockProfile(credentials) {
+    const response = await fetch(CHATBOT_CONFIG.unlockEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
     });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unlock failed');
+
+    saveProfileAccess({ profileId: data.profileId, token: data.token, expiresAt: data.expiresAt, profile: data.profile });
+    profileCards[data.profileId] = data.profile;
+    await selectProfile(data.profileId);
+    return data;
 }
 
+// Invite links look like /?invite=<token>
+async function redeemInviteFromUrl() {
+    const url = new URL(window.location.href);
+    const invite = url.searchParams.get('invite');
+    if (!invite) return;
+
+    // Don't leave the invite in the address bar / history
+    url.searchParams.delete('invite');
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
 
-function normalizeText(s) {
-    return (s || '').toLowerCase().trim();
+    try {
+        await unlockProfile({ invite: invite });
+        addMessage('Private chat unlocked. Say hi! 👋', 'bot');
+    } catch (error) {
+        addMessage(`I couldn't open that invite link: ${error.message}`, 'bot');
+    }
 }
 
-function userWantsMeeting(message) {
-    const m = normalizeText(message);
-    const last = normalizeText(lastBotMessage);
+// "/unlock <profile> <passcode>" — handled here, never sent to the assistant
+async function handleUnlockCommand(message) {
+    const [, profileId, ...rest] = message.split(/\s+/);
+    const passcode = rest.join(' ');
 
-    // Explicit ask
-    const triggers = ['schedule', 'meeting', 'book', 'call', 'consultation', 'availability', 'available'];
-    if (triggers.some(t => m.includes(t))) return true;
+    addMessage(`/unlock ${profileId || ''} ${passcode ? '••••••' : ''}`.trim(), 'user');
 
-    // User says "yes" after bot asked about booking/scheduling
-    const affirm = ['yes', 'yeah', 'yep', 'sure', 'please', 'ok', 'okay', "let's do it", 'lets do it'];
-    const botAsked = last.includes('book a call') || last.includes('schedule') || last.includes('meeting') || last.includes('consultation');
-    if (botAsked && affirm.includes(m)) return true;
+    if (!profileId || !passcode) {
+        addMessage('Usage: /unlock <profile> <passcode>', 'bot');
+        return;
+    }
 
-    return false;
+    try {
+        await unlockProfile({ profileId: profileId, passcode: passcode });
+        addMessage('Private chat unlocked. Say hi! 👋', 'bot');
+    } catch (error) {
+        addMessage(error.message, 'bot');
+    }
 }
 
-function userCancelsMeeting(message) {
-    const m = normalizeText(message);
-    return ['cancel', 'stop', 'nevermind', 'never mind', 'forget it', 'no'].includes(m);
+// Re-render the previous conversation after a page reload
+async function restoreSession() {
+    if (!sessionId) return;
+
+    try {
+        const response = await fetch(CHATBOT_CONFIG.sessionEndpoint, {
+            headers: { 'X-Session-Id': sessionId }
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        (data.messages || []).forEach(m => {
+            addMessage(m.content, m.role === 'assistant' ? 'bot' : 'user');
+        });
+    } catch (error) {
+        console.error('Session restore error:', error);
+    }
 }
 
 
@@ -141,40 +362,45 @@ async function sendMessage() {
     // Clear input
     inputField.value = '';
 
-    // Add user message to chat
-    addMessage(message, 'user');
-
-    // If user wants to schedule a meeting, switch to the structured flow (no AI call needed)
-    if (!isCollectingMeetingInfo && userWantsMeeting(message)) {
-        startMeetingCollection();
-        addMessage(`I'd be happy to help you schedule a meeting with Sankalp!\n\nSankalp is available **Monday through Friday, 9 AM - 6 PM CST**.\n\n**First, what is your name?**`, 'bot');
+    if (/^\/unlock\b/i.test(message)) {
+        await handleUnlockCommand(message);
         return;
     }
 
-    // If we're collecting meeting info, handle it without sending to AI
-    if (isCollectingMeetingInfo) {
-        await handleMeetingCollection(message);
-        return;
-    }
-
-    // Add to conversation history (AI context)
-    conversationHistory.push({
-        role: 'user',
-        content: message
-    });
+    // Add user message to chat
+    addMessage(message, 'user');
 
     // Show typing indicator
     showTypingIndicator();
 
+    // Bot bubble is created on the first streamed token
+    let botMessage = null;
+
     try {
         // Send to AI API
-        const response = await sendToAI(message);
+        const { response, sources, tools } = await sendToAI(message, (textSoFar) => {
+            if (!botMessage) {
+                hideTypingIndicator();
+                botMessage = addMessage('', 'bot');
+            }
+            updateMessage(botMessage, textSoFar);
+        });
 
         // Remove typing indicator
         hideTypingIndicator();
 
-        // Add bot response
-        addMessage(response, 'bot');
+        // Add bot response (or finalize the streamed one)
+        if (botMessage) {
+            updateMessage(botMessage, response);
+            addSources(botMessage, sources);
+        } else {
+            addMessage(response, 'bot', sources);
+        }
+
+        // Meeting requests / messages the assistant prepared wait for the visitor
+        tools.forEach(tool => {
+            if (tool.action) addActionCard(tool.action);
+        });
     } catch (error) {
         hideTypingIndicator();
         addMessage('I apologize, but I\'m having trouble connecting right now. Please try again or contact Sankalp directly at 682-219-8682.', 'bot');
@@ -182,41 +408,136 @@ async function sendMessage() {
 }
 
 
-async function sendToAI(message) {
+function canStream() {
+    return CHATBOT_CONFIG.streaming &&
+        typeof ReadableStream !== 'undefined' &&
+        typeof TextDecoder !== 'undefined';
+}
+
+async function sendToAI(message, onDelta) {
     try {
+        const stream = canStream();
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': stream ? 'text/event-stream, application/json' : 'application/json'
+        };
+        // The server holds the conversation; we only identify it
+        if (sessionId) headers['X-Session-Id'] = sessionId;
+        if (profileAccess) headers['X-Profile-Token'] = profileAccess.token;
+
         const response = await fetch(CHATBOT_CONFIG.apiEndpoint, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: headers,
             body: JSON.stringify({
                 message: message,
-                // send only the most recent messages to control token usage
-                history: conversationHistory.slice(-20)
+                stream: stream,
+                profileId: selectedProfileId || undefined
             })
         });
         
+        // Private profile token expired or was revoked: back to the public assistant
+        if (response.status === 403) {
+            if (profileAccess) delete profileCards[profileAccess.profileId];
+            saveProfileAccess(null);
+            saveSelectedProfile(null);
+            await endSession();
+            renderProfilePicker();
+            applyProfileCard(profileCards[defaultProfileId]);
+            return {
+                response: 'Your private chat access has expired. Ask for a new invite link, or keep chatting with the public assistant.',
+                sources: [],
+                tools: []
+            };
+        }
+
         if (!response.ok) {
             throw new Error('API request failed');
         }
+
+        saveSessionId(response.headers.get('X-Session-Id'));
         
-        const data = await response.json();
+        // Server may still answer with plain JSON (streaming disabled or unsupported)
+        const contentType = response.headers.get('Content-Type') || '';
+        const data = contentType.includes('text/event-stream') && response.body
+            ? await readChatStream(response, onDelta)
+            : await response.json();
         
-        // Add assistant response to history
-        conversationHistory.push({
-            role: 'assistant',
-            content: data.response
-        });
+        if (data.meta) {
+            saveSessionId(data.meta.sessionId);
+            // The server falls back to the default for unknown ids; follow it
+            const activeId = data.meta.activeProfileId;
+            if (activeId && activeId !== (selectedProfileId || defaultProfileId)) {
+                saveSelectedProfile(activeId === defaultProfileId ? null : activeId);
+                renderProfilePicker();
+            }
+            if (data.meta.activeProfile) applyProfileCard(data.meta.activeProfile);
+        }
         
-        return data.response;
+        return {
+            response: data.response,
+            sources: (data.meta && data.meta.sources) || [],
+            tools: (data.meta && data.meta.tools) || []
+        };
     } catch (error) {
         console.error('AI API Error:', error);
         
         // Fallback responses for demo/offline mode
-        return getFallbackResponse(message);
+        return { response: getFallbackResponse(message), sources: [], tools: [] };
     }
 }
 
+// Reads the SSE stream from /api/chat and resolves with the final "done" payload
+async function readChatStream(response, onDelta) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const { event, data } = parseSSEEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+
+            if (event === 'delta') {
+                text += data.delta || '';
+                if (onDelta) onDelta(text);
+            } else if (event === 'done') {
+                return data;
+            } else if (event === 'error') {
+                throw new Error(data.message || data.error || 'Stream error');
+            }
+        }
+    }
+
+    throw new Error('Stream ended unexpectedly');
+}
+
+function parseSSEEvent(raw) {
+    let event = 'message';
+    const dataLines = [];
+
+    raw.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+
+    let data = {};
+    try {
+        data = dataLines.length ? JSON.parse(dataLines.join('\n')) : {};
+    } catch (error) {
+        console.error('Invalid stream event:', raw);
+    }
+
+    return { event, data };
+}
+
 function getFallbackResponse(message) {
     const lowerMessage = message.toLowerCase();
     
@@ -245,14 +566,11 @@ For accurate project pricing, I'd recommend scheduling a free consultation where
     
     // Schedule/meeting questions
     if (lowerMessage.includes('schedule') || lowerMessage.includes('meeting') || lowerMessage.includes('call') || lowerMessage.includes('book') || lowerMessage.includes('available')) {
-        startMeetingCollection();
         return `I'd be happy to help you schedule a meeting with Sankalp!
 
 Sankalp is available **Monday through Friday, 9 AM - 6 PM CST**.
 
-To book a meeting, I'll need a few details:
-
-**First, what is your name?**`;
+I can't book it right now, but you can use the contact form on this page or call **682-219-8682** and he'll confirm within 24 hours.`;
     }
     
     // Skills questions
@@ -326,112 +644,200 @@ The entire project, from mobile app to backend infrastructure, was built entirel
 How can I assist you today?`;
 }
 
-function startMeetingCollection() {
-    isCollectingMeetingInfo = true;
-    meetingData = {
-        name: '',
-        email: '',
-        preferredDateTime: '',
-        projectDescription: ''
-    };
+function addMessage(content, type, sources) {
+    const messagesContainer = document.getElementById('chatbot-messages');
+    
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${type}`;
+    
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+    
+    contentDiv.innerHTML = `<p>${formatMessage(content)}</p>`;
+    messageDiv.appendChild(contentDiv);
+    
+    messagesContainer.appendChild(messageDiv);
+    addSources(messageDiv, sources);
+    
+    // Scroll to bottom
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    return messageDiv;
 }
 
-async function handleMeetingCollection(message) {
-    // Allow user to cancel the meeting flow
-    if (userCancelsMeeting(message)) {
-        isCollectingMeetingInfo = false;
-        meetingData = { name: '', email: '', preferredDateTime: '', projectDescription: '' };
-        addMessage('No problem — we can continue chatting. How can I help you?', 'bot');
-        return;
-    }
+// Re-render an existing message (used while a reply is streaming in)
+function updateMessage(messageDiv, content) {
+    const messagesContainer = document.getElementById('chatbot-messages');
 
-    hideTypingIndicator();
-    
-    if (!meetingData.name) {
-        meetingData.name = message;
-        addMessage(`Nice to meet you, ${meetingData.name}! **What is your email address?**`, 'bot');
-    } else if (!meetingData.email) {
-        // Validate email
-        if (validateEmail(message)) {
-            meetingData.email = message;
-            addMessage(`Great! **When would you like to meet?**\n\nSankalp is available Monday-Friday, 9 AM - 6 PM CST.\nPreferred times: 10:00 AM, 2:00 PM, or 4:00 PM\n\nPlease provide your preferred date and time.`, 'bot');
-        } else {
-            addMessage(`That doesn't appear to be a valid email address. Could you please provide a valid email?`, 'bot');
-        }
-    } else if (!meetingData.preferredDateTime) {
-        meetingData.preferredDateTime = message;
-        addMessage(`Perfect! **Finally, please briefly describe your project or what you'd like to discuss.**`, 'bot');
-    } else if (!meetingData.projectDescription) {
-        meetingData.projectDescription = message;
-        
-        // Complete - submit meeting request
-        await submitMeetingRequest();
-    }
+    messageDiv.querySelector('.message-content').innerHTML = `<p>${formatMessage(content)}</p>`;
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
 }
 
-async function submitMeetingRequest() {
-    addMessage(`Thank you! Here's a summary of your meeting request:
+// Collapsible "Sources" row: knowledge excerpts the reply cited
+// (or every excerpt it was given, when it cited none)
+function addSources(messageDiv, sources) {
+    if (!Array.isArray(sources) || !sources.length) return;
 
-📋 **Meeting Details**
-• **Name**: ${meetingData.name}
-• **Email**: ${meetingData.email}
-• **Preferred Time**: ${meetingData.preferredDateTime}
-• **Project**: ${meetingData.projectDescription}
+    const cited = sources.filter(s => s.cited);
+    const shown = cited.length ? cited : sources;
 
-I'm sending this to Sankalp now. He will confirm your meeting within 24 hours via email.
+    const details = document.createElement('details');
+    details.className = 'message-sources';
 
-Is there anything else I can help you with?`, 'bot');
-    
-    // Reset meeting collection state
-    isCollectingMeetingInfo = false;
-    
-    // Send meeting request to backend
+    const summary = document.createElement('summary');
+    summary.textContent = `Sources (${shown.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    shown.forEach(s => {
+        const item = document.createElement('li');
+        item.textContent = `[${s.ref}] ${s.source}${s.heading ? ` — ${s.heading}` : ''}`;
+        item.title = `${s.id} · score ${s.score}`;
+        list.appendChild(item);
+    });
+    details.appendChild(list);
+
+    messageDiv.appendChild(details);
+
+    const messagesContainer = document.getElementById('chatbot-messages');
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+const ACTION_LABELS = {
+    schedule_meeting: {
+        title: '📋 Meeting request',
+        fields: { name: 'Name', email: 'Email', preferredDateTime: 'Time', projectDescription: 'Project' },
+        done: 'Sent! Sankalp will confirm your meeting within 24 hours via email.'
+    },
+    send_contact_message: {
+        title: '✉️ Message to Sankalp',
+        fields: { name: 'Name', email: 'Email', subject: 'Subject', message: 'Message' },
+        done: 'Sent! Sankalp usually replies within 24 hours.'
+    }
+};
+
+const ACTION_STATUS_TEXT = {
+    cancelled: 'Cancelled — nothing was sent.',
+    expired: 'This request expired. Ask me again if you still want to send it.',
+    failed: 'Sending failed. Please try again, or call 682-219-8682.',
+    unavailable: 'That time is no longer free — ask me for another slot.'
+};
+
+// Details card with Confirm / Cancel for an action the assistant prepared.
+// Nothing is sent until the visitor confirms.
+function addActionCard(action) {
+    const labels = ACTION_LABELS[action.tool];
+    if (!labels) return;
+
+    const messagesContainer = document.getElementById('chatbot-messages');
+
+    const card = document.createElement('div');
+    card.className = 'message bot action-card';
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+
+    const title = document.createElement('strong');
+    title.textContent = labels.title;
+    content.appendChild(title);
+
+    const list = document.createElement('ul');
+    Object.entries(labels.fields).forEach(([key, label]) => {
+        if (!action.args[key]) return;
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = `${label}: `;
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(action.args[key]));
+        list.appendChild(item);
+    });
+    content.appendChild(list);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'action-card-buttons';
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.className = 'action-confirm';
+    confirmBtn.textContent = 'Confirm & send';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'action-cancel';
+    cancelBtn.textContent = 'Cancel';
+
+    buttons.appendChild(confirmBtn);
+    buttons.appendChild(cancelBtn);
+    content.appendChild(buttons);
+
+    const status = document.createElement('p');
+    status.className = 'action-card-status';
+    content.appendChild(status);
+
+    card.appendChild(content);
+    messagesContainer.appendChild(card);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    const decide = async (decision) => {
+        confirmBtn.disabled = true;
+        cancelBtn.disabled = true;
+        status.textContent = decision === 'confirm' ? 'Sending…' : '';
+
+        const result = await resolveAction(action.id, decision);
+        const finalStatus = result ? result.status : 'failed';
+
+        status.textContent = finalStatus === 'completed'
+            ? labels.done
+            : ACTION_STATUS_TEXT[finalStatus] || '';
+        card.dataset.status = finalStatus;
+
+        // Failed sends can be retried
+        if (finalStatus === 'failed') {
+            confirmBtn.disabled = false;
+            cancelBtn.disabled = false;
+        } else {
+            buttons.remove();
+        }
+    };
+
+    confirmBtn.addEventListener('click', () => decide('confirm'));
+    cancelBtn.addEventListener('click', () => decide('cancel'));
+}
+
+async function resolveAction(actionId, decision) {
     try {
-        const response = await fetch(CHATBOT_CONFIG.schedulingEndpoint, {
+        const headers = { 'Content-Type': 'application/json' };
+        if (sessionId) headers['X-Session-Id'] = sessionId;
+
+        const response = await fetch(`${CHATBOT_CONFIG.actionsEndpoint}/${encodeURIComponent(actionId)}`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(meetingData)
+            headers: headers,
+            body: JSON.stringify({ decision: decision })
         });
-        
-        if (!response.ok) {
-            console.error('Failed to submit meeting request to server');
-        }
+        const data = await response.json();
+        return data.action || null;
     } catch (error) {
-        console.error('Meeting submission error:', error);
-        // Meeting info is already displayed to user, so no need for error message
+        console.error('Action error:', error);
+        return null;
     }
 }
 
-function validateEmail(email) {
-    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return re.test(email);
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-function addMessage(content, type) {
-    if (type === 'bot') lastBotMessage = content;
-    const messagesContainer = document.getElementById('chatbot-messages');
-    
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${type}`;
-    
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'message-content';
-    
-    // Convert markdown-style formatting to HTML
-    let formattedContent = content
+// Convert markdown-style formatting to HTML (everything else is escaped:
+// replies, greetings and URL values are never trusted as markup)
+function formatMessage(content) {
+    return escapeHtml(content)
         .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
         .replace(/\n/g, '<br>')
         .replace(/• /g, '&bull; ');
-    
-    contentDiv.innerHTML = `<p>${formattedContent}</p>`;
-    messageDiv.appendChild(contentDiv);
-    
-    messagesContainer.appendChild(messageDiv);
-    
-    // Scroll to bottom
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
 }
 
 function showTypingIndicator() {
@@ -713,6 +713,14 @@ function initContactForm() {
 
   if (!form) return;
 
+  // One key per message: a retry after a lost response isn't sent twice,
+  // an edited message is a new one
+  let idempotencyKey = null;
+  const newKey = () => (window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+  form.addEventListener('input', () => { idempotencyKey = null; });
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
@@ -723,27 +731,27 @@ function initContactForm() {
     const originalText = submitBtn.innerHTML;
     submitBtn.innerHTML = '<span>Sending...</span>';
     submitBtn.disabled = true;
+    idempotencyKey = idempotencyKey || newKey();
 
     try {
       const response = await fetch('/api/contact', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
         body: JSON.stringify(data)
       });
 
-      if (response.ok) {
-        status.textContent = 'Message sent!';
-        status.className = 'form-status success';
-        status.style.display = 'block';
-        form.reset();
-      } else {
-        throw new Error('Failed');
-      }
-    } catch (error) {
-      status.textContent = 'Thank you! (Demo mode)';
+      if (!response.ok) throw new Error('Failed');
+
+      status.textContent = 'Message sent!';
       status.className = 'form-status success';
       status.style.display = 'block';
       form.reset();
+      idempotencyKey = null;
+    } catch (error) {
+      // Keep what they typed so they can retry
+      status.textContent = "Sorry, your message couldn't be sent. Please try again in a moment.";
+      status.className = 'form-status error';
+      status.style.display = 'block';
     }
 
     submitBtn.innerHTML = originalText;